@@ -1,172 +1,53 @@
 /**
  * BrowserStack Configuration for Mobile Device Testing
  * Comprehensive real device testing across iOS, Android, and various browsers
+ * Capabilities are W3C: standard keys at the top level, BrowserStack settings under
+ * `bstack:options`. Credentials are not part of the config; scripts/lib/browserstack-capabilities.js
+ * adds them from the environment and validates sessions against config/browserstack-devices.json.
  */
 
+const { listDevices, toBrowserStackCapabilities } = require('./device-registry');
+
 const COMMON_CAPABILITIES = {
-  'browserstack.user': process.env.BROWSERSTACK_USERNAME,
-  'browserstack.key': process.env.BROWSERSTACK_ACCESS_KEY,
-  'browserstack.local': true,
-  'browserstack.localIdentifier': process.env.BROWSERSTACK_LOCAL_IDENTIFIER || 'tms-mobile-testing',
-  'browserstack.debug': true,
-  'browserstack.console': 'verbose',
-  'browserstack.networkLogs': true,
-  'browserstack.video': true,
-  'browserstack.selenium_version': '4.0.0',
-  'browserstack.timezone': 'Asia/Amman',
-  'browserstack.idleTimeout': 300,
-  project: 'TMS Mobile Testing',
-  build: `TMS-${process.env.GITHUB_RUN_NUMBER || Date.now()}`,
-  name: 'Mobile PWA Testing'
+  'bstack:options': {
+    projectName: 'TMS Mobile Testing',
+    buildName: `TMS-${process.env.GITHUB_RUN_NUMBER || Date.now()}`,
+    sessionName: 'Mobile PWA Testing',
+    local: true,
+    localIdentifier: process.env.BROWSERSTACK_LOCAL_IDENTIFIER || 'tms-mobile-testing',
+    debug: true,
+    consoleLogs: 'verbose',
+    networkLogs: true,
+    video: true,
+    timezone: 'Amman',
+    idleTimeout: 300
+  }
 };
 
-const MOBILE_DEVICES = {
-  // Latest iOS Devices
-  'iPhone_15_Pro': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'safari',
-    device: 'iPhone 15 Pro',
-    os_version: '17',
-    real_mobile: true,
-    'browserstack.appium_version': '2.0.0'
-  },
-  'iPhone_14': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'safari',
-    device: 'iPhone 14',
-    os_version: '16',
-    real_mobile: true,
-    'browserstack.appium_version': '2.0.0'
-  },
-  'iPhone_13_Mini': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'safari',
-    device: 'iPhone 13 Mini',
-    os_version: '15',
-    real_mobile: true,
-    'browserstack.appium_version': '2.0.0'
-  },
-  'iPhone_12': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'safari',
-    device: 'iPhone 12',
-    os_version: '14',
-    real_mobile: true,
-    'browserstack.appium_version': '2.0.0'
-  },
+// Merge capability sets; `bstack:options` are merged key by key
+const mergeCapabilities = (...sets) => sets.reduce((merged, set) => ({
+  ...merged,
+  ...set,
+  'bstack:options': { ...merged['bstack:options'], ...set['bstack:options'] }
+}), {});
 
-  // Android Devices - Latest
-  'Galaxy_S24': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'chrome',
-    device: 'Samsung Galaxy S24',
-    os_version: '14.0',
-    real_mobile: true,
-    'browserstack.appium_version': '2.0.0'
-  },
-  'Galaxy_S23': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'chrome',
-    device: 'Samsung Galaxy S23',
-    os_version: '13.0',
-    real_mobile: true,
-    'browserstack.appium_version': '2.0.0'
-  },
-  'Pixel_8': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'chrome',
-    device: 'Google Pixel 8',
-    os_version: '14.0',
-    real_mobile: true,
-    'browserstack.appium_version': '2.0.0'
-  },
-  'Pixel_7': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'chrome',
-    device: 'Google Pixel 7',
-    os_version: '13.0',
-    real_mobile: true,
-    'browserstack.appium_version': '2.0.0'
-  },
+// Real devices available on BrowserStack, derived from the device registry
+const MOBILE_DEVICES = Object.fromEntries(
+  listDevices(device => Boolean(device.browserstack)).map(key => [key,
+    mergeCapabilities(COMMON_CAPABILITIES, toBrowserStackCapabilities(key))])
+);
 
-  // Mid-range Devices for performance testing
-  'Galaxy_A54': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'chrome',
-    device: 'Samsung Galaxy A54',
-    os_version: '13.0',
-    real_mobile: true,
-    'browserstack.appium_version': '2.0.0'
-  },
-  'Redmi_Note_12': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'chrome',
-    device: 'Xiaomi Redmi Note 12',
-    os_version: '13.0',
-    real_mobile: true,
-    'browserstack.appium_version': '2.0.0'
-  },
-
-  // Tablets
-  'iPad_Pro_12_9': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'safari',
-    device: 'iPad Pro 12.9 2022',
-    os_version: '16',
-    real_mobile: true,
-    'browserstack.appium_version': '2.0.0'
-  },
-  'iPad_Air': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'safari',
-    device: 'iPad Air 4',
-    os_version: '15',
-    real_mobile: true,
-    'browserstack.appium_version': '2.0.0'
-  },
-  'Galaxy_Tab_S9': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'chrome',
-    device: 'Samsung Galaxy Tab S9',
-    os_version: '13.0',
-    real_mobile: true,
-    'browserstack.appium_version': '2.0.0'
-  }
-};
+const desktopBrowser = (browserName, os, osVersion) => mergeCapabilities(COMMON_CAPABILITIES, {
+  browserName,
+  browserVersion: 'latest',
+  'bstack:options': { os, osVersion, resolution: '1920x1080', seleniumVersion: '4.0.0' }
+});
 
 const DESKTOP_BROWSERS = {
-  'Chrome_Latest': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'Chrome',
-    browser_version: 'latest',
-    os: 'Windows',
-    os_version: '11',
-    resolution: '1920x1080'
-  },
-  'Firefox_Latest': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'Firefox',
-    browser_version: 'latest',
-    os: 'Windows',
-    os_version: '11',
-    resolution: '1920x1080'
-  },
-  'Safari_Latest': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'Safari',
-    browser_version: 'latest',
-    os: 'OS X',
-    os_version: 'Sonoma',
-    resolution: '1920x1080'
-  },
-  'Edge_Latest': {
-    ...COMMON_CAPABILITIES,
-    browserName: 'Edge',
-    browser_version: 'latest',
-    os: 'Windows',
-    os_version: '11',
-    resolution: '1920x1080'
-  }
+  'Chrome_Latest': desktopBrowser('chrome', 'Windows', '11'),
+  'Firefox_Latest': desktopBrowser('firefox', 'Windows', '11'),
+  'Safari_Latest': desktopBrowser('safari', 'OS X', 'Sonoma'),
+  'Edge_Latest': desktopBrowser('edge', 'Windows', '11')
 };
 
 const TEST_SUITES = {
@@ -209,21 +90,22 @@ const TEST_SUITES = {
   ]
 };
 
+// browserstackProfile is the bstack:options networkProfile; WiFi runs on the device's own connection
 const NETWORK_PROFILES = {
   'WIFI': {
-    networkProfile: 'WIFI',
+    browserstackProfile: null,
     description: 'High-speed WiFi connection'
   },
   '4G': {
-    networkProfile: '4G',
+    browserstackProfile: '4g-lte-good',
     description: '4G mobile network'
   },
   '3G': {
-    networkProfile: '3G',
+    browserstackProfile: '3g-umts-good',
     description: '3G mobile network (slower speeds)'
   },
   'EDGE': {
-    networkProfile: 'EDGE',
+    browserstackProfile: 'edge-good',
     description: 'Edge network (very slow speeds)'
   }
 };
@@ -310,7 +192,7 @@ module.exports = {
     return TEST_CONFIGURATIONS[configName];
   },
   
-  // Build capabilities for a specific test
+  // Build capabilities for a specific test; other customOptions go into bstack:options
   buildCapabilities: (deviceName, networkProfile = 'WIFI', customOptions = {}) => {
     const baseCapabilities = module.exports.getDeviceCapabilities(deviceName);
     if (!baseCapabilities) {
@@ -322,11 +204,13 @@ module.exports = {
       throw new Error(`Network profile ${networkProfile} not found`);
     }
     
-    return {
-      ...baseCapabilities,
-      ...networkConfig,
-      ...customOptions,
-      name: `${baseCapabilities.name} - ${networkProfile} - ${customOptions.testName || 'Default Test'}`
-    };
+    const { testName, ...options } = customOptions;
+    return mergeCapabilities(baseCapabilities, {
+      'bstack:options': {
+        ...(networkConfig.browserstackProfile ? { networkProfile: networkConfig.browserstackProfile } : {}),
+        ...options,
+        sessionName: `${baseCapabilities['bstack:options'].sessionName} - ${networkProfile} - ${testName || 'Default Test'}`
+      }
+    });
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,540 @@
+/**
+ * Device Registry
+ * Single source of truth for every device the TMS test tooling emulates or runs on.
+ * Playwright context options, BrowserStack capabilities, Lighthouse screen emulation
+ * and the legacy DEVICE_CONFIGURATIONS shape are all derived from these definitions.
+ */
+
+const { DeviceNotFoundError } = require('../scripts/lib/errors');
+
+const DEVICE_SCHEMA = {
+  name: { type: 'string', required: true },
+  platform: { type: 'string', required: true, oneOf: ['ios', 'android'] },
+  osVersion: { type: 'string', required: true },
+  formFactor: { type: 'string', required: true, oneOf: ['phone', 'tablet'] },
+  width: { type: 'number', required: true, min: 240, max: 1600 },
+  height: { type: 'number', required: true, min: 240, max: 1600 },
+  pixelRatio: { type: 'number', required: true, min: 1, max: 4 },
+  userAgent: { type: 'string', required: true },
+  category: { type: 'string', required: true, oneOf: ['premium', 'mid-range', 'budget', 'tablet'] },
+  network: { type: 'string', required: true, oneOf: ['4G', '3G_Fast', '3G_Slow', 'EDGE', 'WiFi'] },
+  memoryGB: { type: 'number', required: true, min: 1, max: 16 },
+  processorTier: { type: 'string', required: true, oneOf: ['high', 'medium', 'low'] },
+  emulation: { type: 'boolean', required: true },
+  browserstack: { type: 'object', required: false }
+};
+
+const BROWSERSTACK_SCHEMA = {
+  device: { type: 'string', required: true },
+  browserName: { type: 'string', required: true, oneOf: ['safari', 'chrome'] }
+};
+
+const DEVICE_REGISTRY = {
+  // iOS devices
+  'iPhone_15_Pro': {
+    name: 'iPhone 15 Pro',
+    platform: 'ios',
+    osVersion: '17',
+    formFactor: 'phone',
+    width: 393,
+    height: 852,
+    pixelRatio: 3,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+    category: 'premium',
+    network: '4G',
+    memoryGB: 8,
+    processorTier: 'high',
+    emulation: false,
+    browserstack: { device: 'iPhone 15 Pro', browserName: 'safari' }
+  },
+  'iPhone_14': {
+    name: 'iPhone 14',
+    platform: 'ios',
+    osVersion: '16',
+    formFactor: 'phone',
+    width: 390,
+    height: 844,
+    pixelRatio: 3,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1',
+    category: 'premium',
+    network: '4G',
+    memoryGB: 6,
+    processorTier: 'high',
+    emulation: false,
+    browserstack: { device: 'iPhone 14', browserName: 'safari' }
+  },
+  'iPhone_13_Mini': {
+    name: 'iPhone 13 Mini',
+    platform: 'ios',
+    osVersion: '15',
+    formFactor: 'phone',
+    width: 375,
+    height: 812,
+    pixelRatio: 3,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1',
+    category: 'premium',
+    network: '4G',
+    memoryGB: 4,
+    processorTier: 'high',
+    emulation: true,
+    browserstack: { device: 'iPhone 13 Mini', browserName: 'safari' }
+  },
+  'iPhone_12': {
+    name: 'iPhone 12',
+    platform: 'ios',
+    osVersion: '14',
+    formFactor: 'phone',
+    width: 390,
+    height: 844,
+    pixelRatio: 3,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0 Mobile/15E148 Safari/604.1',
+    category: 'premium',
+    network: '4G',
+    memoryGB: 4,
+    processorTier: 'high',
+    emulation: true,
+    browserstack: { device: 'iPhone 12', browserName: 'safari' }
+  },
+  'iPhone_11': {
+    name: 'iPhone 11',
+    platform: 'ios',
+    osVersion: '15',
+    formFactor: 'phone',
+    width: 414,
+    height: 896,
+    pixelRatio: 2,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1',
+    category: 'mid-range',
+    network: '4G',
+    memoryGB: 4,
+    processorTier: 'medium',
+    emulation: false
+  },
+  'iPhone_8': {
+    name: 'iPhone 8',
+    platform: 'ios',
+    osVersion: '15',
+    formFactor: 'phone',
+    width: 375,
+    height: 667,
+    pixelRatio: 2,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1',
+    category: 'budget',
+    network: '3G_Fast',
+    memoryGB: 2,
+    processorTier: 'low',
+    emulation: true
+  },
+  'iPhone_SE': {
+    name: 'iPhone SE',
+    platform: 'ios',
+    osVersion: '15',
+    formFactor: 'phone',
+    width: 320,
+    height: 568,
+    pixelRatio: 2,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1',
+    category: 'budget',
+    network: '3G_Fast',
+    memoryGB: 2,
+    processorTier: 'low',
+    emulation: false
+  },
+
+  // Android devices
+  'Galaxy_S24': {
+    name: 'Galaxy S24',
+    platform: 'android',
+    osVersion: '14.0',
+    formFactor: 'phone',
+    width: 360,
+    height: 780,
+    pixelRatio: 3,
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; SM-S921B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+    category: 'premium',
+    network: '4G',
+    memoryGB: 8,
+    processorTier: 'high',
+    emulation: false,
+    browserstack: { device: 'Samsung Galaxy S24', browserName: 'chrome' }
+  },
+  'Galaxy_S23': {
+    name: 'Galaxy S23',
+    platform: 'android',
+    osVersion: '13.0',
+    formFactor: 'phone',
+    width: 360,
+    height: 780,
+    pixelRatio: 3,
+    userAgent: 'Mozilla/5.0 (Linux; Android 13; SM-S911B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/112.0.0.0 Mobile Safari/537.36',
+    category: 'premium',
+    network: '4G',
+    memoryGB: 8,
+    processorTier: 'high',
+    emulation: false,
+    browserstack: { device: 'Samsung Galaxy S23', browserName: 'chrome' }
+  },
+  'Galaxy_S20': {
+    name: 'Galaxy S20',
+    platform: 'android',
+    osVersion: '11.0',
+    formFactor: 'phone',
+    width: 360,
+    height: 800,
+    pixelRatio: 3,
+    userAgent: 'Mozilla/5.0 (Linux; Android 11; SM-G980F) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/87.0.4280.141 Mobile Safari/537.36',
+    category: 'premium',
+    network: '4G',
+    memoryGB: 8,
+    processorTier: 'high',
+    emulation: true
+  },
+  'Galaxy_A54': {
+    name: 'Galaxy A54',
+    platform: 'android',
+    osVersion: '13.0',
+    formFactor: 'phone',
+    width: 360,
+    height: 780,
+    pixelRatio: 2.5,
+    userAgent: 'Mozilla/5.0 (Linux; Android 13; SM-A546B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36',
+    category: 'mid-range',
+    network: '3G_Fast',
+    memoryGB: 4,
+    processorTier: 'medium',
+    emulation: true,
+    browserstack: { device: 'Samsung Galaxy A54', browserName: 'chrome' }
+  },
+  'Pixel_8': {
+    name: 'Pixel 8',
+    platform: 'android',
+    osVersion: '14.0',
+    formFactor: 'phone',
+    width: 412,
+    height: 915,
+    pixelRatio: 2.625,
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+    category: 'premium',
+    network: '4G',
+    memoryGB: 8,
+    processorTier: 'high',
+    emulation: false,
+    browserstack: { device: 'Google Pixel 8', browserName: 'chrome' }
+  },
+  'Pixel_7': {
+    name: 'Pixel 7',
+    platform: 'android',
+    osVersion: '13.0',
+    formFactor: 'phone',
+    width: 412,
+    height: 915,
+    pixelRatio: 2.625,
+    userAgent: 'Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/112.0.0.0 Mobile Safari/537.36',
+    category: 'premium',
+    network: '4G',
+    memoryGB: 8,
+    processorTier: 'high',
+    emulation: false,
+    browserstack: { device: 'Google Pixel 7', browserName: 'chrome' }
+  },
+  'Redmi_Note_12': {
+    name: 'Redmi Note 12',
+    platform: 'android',
+    osVersion: '13.0',
+    formFactor: 'phone',
+    width: 393,
+    height: 873,
+    pixelRatio: 2.75,
+    userAgent: 'Mozilla/5.0 (Linux; Android 13; 23021RAA2Y) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/112.0.0.0 Mobile Safari/537.36',
+    category: 'budget',
+    network: '3G_Fast',
+    memoryGB: 4,
+    processorTier: 'low',
+    emulation: false,
+    browserstack: { device: 'Xiaomi Redmi Note 12', browserName: 'chrome' }
+  },
+  'Redmi_Note_10': {
+    name: 'Redmi Note 10',
+    platform: 'android',
+    osVersion: '11.0',
+    formFactor: 'phone',
+    width: 360,
+    height: 780,
+    pixelRatio: 2.5,
+    userAgent: 'Mozilla/5.0 (Linux; Android 11; Redmi Note 10) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/87.0.4280.141 Mobile Safari/537.36',
+    category: 'budget',
+    network: '3G_Fast',
+    memoryGB: 3,
+    processorTier: 'low',
+    emulation: true
+  },
+
+  // Tablets
+  'iPad_Pro_12_9': {
+    name: 'iPad Pro 12.9',
+    platform: 'ios',
+    osVersion: '16',
+    formFactor: 'tablet',
+    width: 1024,
+    height: 1366,
+    pixelRatio: 2,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1',
+    category: 'tablet',
+    network: 'WiFi',
+    memoryGB: 8,
+    processorTier: 'high',
+    emulation: false,
+    browserstack: { device: 'iPad Pro 12.9 2022', browserName: 'safari' }
+  },
+  'iPad_Air': {
+    name: 'iPad Air',
+    platform: 'ios',
+    osVersion: '15',
+    formFactor: 'tablet',
+    width: 820,
+    height: 1180,
+    pixelRatio: 2,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1',
+    category: 'tablet',
+    network: '4G',
+    memoryGB: 4,
+    processorTier: 'high',
+    emulation: true,
+    browserstack: { device: 'iPad Air 4', browserName: 'safari' }
+  },
+  'iPad_9': {
+    name: 'iPad (9th generation)',
+    platform: 'ios',
+    osVersion: '15',
+    formFactor: 'tablet',
+    width: 768,
+    height: 1024,
+    pixelRatio: 2,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1',
+    category: 'tablet',
+    network: 'WiFi',
+    memoryGB: 3,
+    processorTier: 'medium',
+    emulation: false
+  },
+  'Galaxy_Tab_S9': {
+    name: 'Galaxy Tab S9',
+    platform: 'android',
+    osVersion: '13.0',
+    formFactor: 'tablet',
+    width: 800,
+    height: 1280,
+    pixelRatio: 2,
+    userAgent: 'Mozilla/5.0 (Linux; Android 13; SM-X710) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/112.0.0.0 Safari/537.36',
+    category: 'tablet',
+    network: 'WiFi',
+    memoryGB: 8,
+    processorTier: 'high',
+    emulation: false,
+    browserstack: { device: 'Samsung Galaxy Tab S9', browserName: 'chrome' }
+  }
+};
+
+// Responsive breakpoints, expressed as registry devices wherever a real device matches
+const BREAKPOINT_DEVICES = {
+  'xs': { device: 'iPhone_SE', description: 'Extra Small (iPhone 5/SE)' },
+  'sm': { device: 'iPhone_8', description: 'Small (iPhone 6/7/8)' },
+  'md': { device: 'iPhone_11', description: 'Medium (iPhone 6+/7+/8+)' },
+  'lg': { device: 'iPad_9', description: 'Large (iPad Portrait)' },
+  'xl': { device: 'iPad_9', orientation: 'landscape', description: 'Extra Large (iPad Landscape)' },
+  'xxl': { width: 1440, height: 900, description: 'Desktop' }
+};
+
+// Check a definition against a schema and return a list of problems
+function checkSchema(definition, schema, prefix) {
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = definition[field];
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push(`${prefix}.${field} is required`);
+      }
+      return;
+    }
+
+    if (typeof value !== rule.type) {
+      errors.push(`${prefix}.${field} must be a ${rule.type}, got ${typeof value}`);
+      return;
+    }
+
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+      errors.push(`${prefix}.${field} must be one of ${rule.oneOf.join(', ')}, got ${value}`);
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push(`${prefix}.${field} must be at least ${rule.min}, got ${value}`);
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push(`${prefix}.${field} must be at most ${rule.max}, got ${value}`);
+    }
+  });
+
+  Object.keys(definition).forEach(field => {
+    if (!schema[field]) {
+      errors.push(`${prefix}.${field} is not a known device field`);
+    }
+  });
+
+  return errors;
+}
+
+// Validate one device definition, including the user agent agreeing with the OS version
+function validateDevice(key, definition) {
+  const errors = checkSchema(definition, DEVICE_SCHEMA, key);
+
+  if (definition.browserstack && typeof definition.browserstack === 'object') {
+    errors.push(...checkSchema(definition.browserstack, BROWSERSTACK_SCHEMA, `${key}.browserstack`));
+  }
+
+  if (typeof definition.userAgent === 'string' && typeof definition.osVersion === 'string') {
+    const major = definition.osVersion.split('.')[0];
+    const expected = definition.platform === 'ios' ? `OS ${major}_` : `Android ${major}`;
+
+    if (!definition.userAgent.includes(expected)) {
+      errors.push(`${key}.userAgent does not match osVersion ${definition.osVersion} (expected "${expected}")`);
+    }
+  }
+
+  return errors;
+}
+
+// Validate the whole registry once at load time so a bad definition fails every consumer loudly
+function validateRegistry() {
+  const errors = Object.entries(DEVICE_REGISTRY)
+    .flatMap(([key, definition]) => validateDevice(key, definition));
+
+  Object.entries(BREAKPOINT_DEVICES).forEach(([breakpoint, entry]) => {
+    if (entry.device && !DEVICE_REGISTRY[entry.device]) {
+      errors.push(`Breakpoint ${breakpoint} references unknown device ${entry.device}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid device registry:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+validateRegistry();
+
+const normalizeDeviceName = (value) => value.toLowerCase().replace(/[\s_-]+/g, '');
+
+// Resolve a registry key ("iPhone_12") or display name ("iPhone 12") to its definition
+function resolveDevice(keyOrName) {
+  const wanted = normalizeDeviceName(String(keyOrName));
+  const key = Object.keys(DEVICE_REGISTRY).find(candidate =>
+    normalizeDeviceName(candidate) === wanted || normalizeDeviceName(DEVICE_REGISTRY[candidate].name) === wanted
+  );
+
+  if (!key) {
+    throw new DeviceNotFoundError(keyOrName, Object.keys(DEVICE_REGISTRY));
+  }
+
+  return { key, ...DEVICE_REGISTRY[key] };
+}
+
+const orientedSize = (device, orientation) => (orientation === 'landscape' ?
+  { width: device.height, height: device.width } :
+  { width: device.width, height: device.height });
+
+// Playwright browser.newContext() options
+function toPlaywrightContextOptions(keyOrName, { orientation = 'portrait' } = {}) {
+  const device = resolveDevice(keyOrName);
+
+  return {
+    viewport: orientedSize(device, orientation),
+    deviceScaleFactor: device.pixelRatio,
+    userAgent: device.userAgent,
+    hasTouch: true,
+    isMobile: true
+  };
+}
+
+// BrowserStack real-device capabilities in W3C form (device-specific part, merged with COMMON_CAPABILITIES)
+function toBrowserStackCapabilities(keyOrName) {
+  const device = resolveDevice(keyOrName);
+
+  if (!device.browserstack) {
+    throw new Error(`Device ${device.key} is not available on BrowserStack`);
+  }
+
+  return {
+    browserName: device.browserstack.browserName,
+    'bstack:options': {
+      deviceName: device.browserstack.device,
+      osVersion: device.osVersion,
+      realMobile: 'true',
+      appiumVersion: '2.0.0'
+    }
+  };
+}
+
+// Lighthouse settings.screenEmulation
+function toLighthouseScreenEmulation(keyOrName) {
+  const device = resolveDevice(keyOrName);
+
+  return {
+    mobile: true,
+    width: device.width,
+    height: device.height,
+    deviceScaleFactor: device.pixelRatio,
+    disabled: false
+  };
+}
+
+// Flat shape used by DEVICE_CONFIGURATIONS and the mobile-device-test config
+function toDeviceConfiguration(keyOrName) {
+  const device = resolveDevice(keyOrName);
+
+  return {
+    name: device.name,
+    width: device.width,
+    height: device.height,
+    pixelRatio: device.pixelRatio,
+    userAgent: device.userAgent,
+    category: device.category,
+    network: device.network,
+    memoryGB: device.memoryGB,
+    processorTier: device.processorTier
+  };
+}
+
+// Responsive breakpoints in the { width, height, description } shape of responsive-design-test.js
+function getBreakpoints() {
+  return Object.fromEntries(Object.entries(BREAKPOINT_DEVICES).map(([breakpoint, entry]) => {
+    if (!entry.device) {
+      return [breakpoint, { width: entry.width, height: entry.height, description: entry.description }];
+    }
+
+    const device = resolveDevice(entry.device);
+    return [breakpoint, {
+      ...orientedSize(device, entry.orientation),
+      description: entry.description,
+      device: device.key
+    }];
+  }));
+}
+
+const listDevices = (predicate = () => true) =>
+  Object.keys(DEVICE_REGISTRY).filter(key => predicate(DEVICE_REGISTRY[key]));
+
+module.exports = {
+  DEVICE_REGISTRY,
+  DEVICE_SCHEMA,
+  BREAKPOINT_DEVICES,
+  validateDevice,
+  resolveDevice,
+  listDevices,
+  toPlaywrightContextOptions,
+  toBrowserStackCapabilities,
+  toLighthouseScreenEmulation,
+  toDeviceConfiguration,
+  getBreakpoints
+};
@@ -4,79 +4,12 @@
  * and PWA validation with focus on Jordan market requirements
  */
 
-const DEVICE_CONFIGURATIONS = {
-  // Primary devices for testing (common in Jordan)
-  'iPhone_12': {
-    width: 390,
-    height: 844,
-    pixelRatio: 3,
-    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1',
-    category: 'premium',
-    network: '4G',
-    memoryGB: 4,
-    processorTier: 'high'
-  },
-  'iPhone_13_Mini': {
-    width: 375,
-    height: 812,
-    pixelRatio: 3,
-    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1',
-    category: 'premium',
-    network: '4G',
-    memoryGB: 4,
-    processorTier: 'high'
-  },
-  'Galaxy_S20': {
-    width: 360,
-    height: 800,
-    pixelRatio: 3,
-    userAgent: 'Mozilla/5.0 (Linux; Android 11; SM-G980F) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/87.0.4280.141 Mobile Safari/537.36',
-    category: 'premium',
-    network: '4G',
-    memoryGB: 8,
-    processorTier: 'high'
-  },
-  'Galaxy_A54': {
-    width: 360,
-    height: 780,
-    pixelRatio: 2.5,
-    userAgent: 'Mozilla/5.0 (Linux; Android 13; SM-A546B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Mobile Safari/537.36',
-    category: 'mid-range',
-    network: '3G',
-    memoryGB: 4,
-    processorTier: 'medium'
-  },
-  'iPhone_8': {
-    width: 375,
-    height: 667,
-    pixelRatio: 2,
-    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1',
-    category: 'budget',
-    network: '3G',
-    memoryGB: 2,
-    processorTier: 'low'
-  },
-  'Redmi_Note_10': {
-    width: 360,
-    height: 780,
-    pixelRatio: 2.5,
-    userAgent: 'Mozilla/5.0 (Linux; Android 11; Redmi Note 10) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/87.0.4280.141 Mobile Safari/537.36',
-    category: 'budget',
-    network: '3G',
-    memoryGB: 3,
-    processorTier: 'low'
-  },
-  'iPad_Air': {
-    width: 820,
-    height: 1180,
-    pixelRatio: 2,
-    userAgent: 'Mozilla/5.0 (iPad; CPU OS 15_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.0 Mobile/15E148 Safari/604.1',
-    category: 'tablet',
-    network: '4G',
-    memoryGB: 4,
-    processorTier: 'high'
-  }
-};
+const { listDevices, toDeviceConfiguration } = require('./device-registry');
+
+// Primary devices for emulated testing (common in Jordan), derived from the device registry
+const DEVICE_CONFIGURATIONS = Object.fromEntries(
+  listDevices(device => device.emulation).map(key => [key, toDeviceConfiguration(key)])
+);
 
 const NETWORK_CONDITIONS = {
   '4G': {
@@ -116,6 +49,22 @@ const NETWORK_CONDITIONS = {
   }
 };
 
+// CPU slowdown applied to the emulated device, keyed by DEVICE_CONFIGURATIONS.processorTier
+const PROCESSOR_TIERS = {
+  high: {
+    cpuSlowdownMultiplier: 2,
+    description: 'Flagship processor (recent iPhone / Galaxy S)'
+  },
+  medium: {
+    cpuSlowdownMultiplier: 4,
+    description: 'Mid-range processor (Galaxy A series)'
+  },
+  low: {
+    cpuSlowdownMultiplier: 6,
+    description: 'Budget or older processor (Redmi Note, iPhone 8)'
+  }
+};
+
 const PERFORMANCE_BASELINES = {
   // Core Web Vitals targets for mobile
   coreWebVitals: {
@@ -124,10 +73,10 @@ const PERFORMANCE_BASELINES = {
       needsImprovement: 4000,
       poor: 4001
     },
-    FID: {
-      good: 100,     // 100ms
-      needsImprovement: 300,
-      poor: 301
+    INP: {
+      good: 200,     // 200ms
+      needsImprovement: 500,
+      poor: 501
     },
     CLS: {
       good: 0.1,     // 0.1
@@ -158,17 +107,20 @@ const PERFORMANCE_BASELINES = {
     '4G': {
       LCP: 2000,     // 2 seconds on 4G
       TTI: 2500,     // 2.5 seconds on 4G
-      FCP: 1500      // 1.5 seconds on 4G
+      FCP: 1500,     // 1.5 seconds on 4G
+      INP: 200       // 200ms on 4G
     },
     '3G_Fast': {
       LCP: 2500,     // 2.5 seconds on 3G Fast
       TTI: 3000,     // 3 seconds on 3G Fast
-      FCP: 2000      // 2 seconds on 3G Fast
+      FCP: 2000,     // 2 seconds on 3G Fast
+      INP: 250       // 250ms on 3G Fast
     },
     '3G_Slow': {
       LCP: 4000,     // 4 seconds on 3G Slow
       TTI: 5000,     // 5 seconds on 3G Slow
-      FCP: 3000      // 3 seconds on 3G Slow
+      FCP: 3000,     // 3 seconds on 3G Slow
+      INP: 350       // 350ms on 3G Slow
     }
   }
 };
@@ -353,19 +305,42 @@ const JORDAN_MARKET_CONFIG = {
     country: 'JO',
     timezone: 'Asia/Amman',
     currency: 'JOD',
-    rtl: false // Future consideration for Arabic
+    rtl: false // Default UI is English; Arabic is tested with --locale ar-JO (LOCALE_PROFILES)
+  }
+};
+
+// Browser locale profiles for --locale. Amounts stay in Latin digits in both languages so
+// they match bank statements and CliQ references.
+const LOCALE_PROFILES = {
+  'en-JO': {
+    description: 'English (Jordan)',
+    locale: 'en-JO',
+    language: 'en',
+    timezone: 'Asia/Amman',
+    direction: 'ltr',
+    amountNumerals: 'latn'
+  },
+  'ar-JO': {
+    description: 'Arabic (Jordan)',
+    locale: 'ar-JO',
+    language: 'ar',
+    timezone: 'Asia/Amman',
+    direction: 'rtl',
+    amountNumerals: 'latn'
   }
 };
 
 module.exports = {
   DEVICE_CONFIGURATIONS,
   NETWORK_CONDITIONS,
+  PROCESSOR_TIERS,
   PERFORMANCE_BASELINES,
   PWA_REQUIREMENTS,
   ACCESSIBILITY_REQUIREMENTS,
   RESPONSIVE_BREAKPOINTS,
   TEST_SCENARIOS,
   JORDAN_MARKET_CONFIG,
+  LOCALE_PROFILES,
   
   // Helper functions
   getDeviceConfig: (deviceName) => {
@@ -376,6 +351,10 @@ module.exports = {
     return NETWORK_CONDITIONS[networkName];
   },
   
+  getProcessorTier: (tierName) => {
+    return PROCESSOR_TIERS[tierName];
+  },
+  
   getPerformanceTarget: (metric, network = '4G') => {
     return PERFORMANCE_BASELINES.networkTargets[network]?.[metric] || 
            PERFORMANCE_BASELINES.coreWebVitals[metric]?.good;
@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+/**
+ * BrowserStack Mobile Testing Script
+ * Runs MOBILE_TEST_SCENARIOS in remote WebDriver sessions, one per device × network of a
+ * TEST_CONFIGURATIONS entry, honouring its timeout and retries and reporting each session's
+ * status back to BrowserStack. Any W3C WebDriver endpoint can stand in for the grid (--hub).
+ * Scenarios needing capabilities the WebDriver driver lacks (offline, resizing real devices) are skipped.
+ * --dry-run prints the compiled session plan without opening sessions.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { TEST_CONFIGURATIONS } = require('../config/browserstack.config');
+const { resolveDevice } = require('../config/device-registry');
+const { MOBILE_TEST_SCENARIOS, resolveDeviceConfig, runScenarios, summarizeTests, toJUnitSuite } = require('./mobile-device-test');
+const { runWithConcurrency } = require('./run-test-matrix');
+const { newSession } = require('./lib/webdriver-client');
+const {
+  CREDENTIAL_VARIABLES,
+  resolveCredentials,
+  withCredentials,
+  redactCapabilities,
+  compileSessionPlan
+} = require('./lib/browserstack-capabilities');
+const { createWebDriverDriver } = require('./lib/drivers');
+const { VISUAL_DIFF_DEFAULTS } = require('./lib/visual-diff');
+const { RUN_STATUS, runCli } = require('./lib/cli');
+const { ConfigurationError } = require('./lib/errors');
+const { reporterOption, toJUnitXml, writeReports } = require('./lib/reporters');
+
+const BROWSERSTACK_HUB = 'https://hub-cloud.browserstack.com/wd/hub';
+
+// Command-line options (see scripts/lib/cli.js)
+const BROWSERSTACK_COMMAND = {
+  name: 'remote',
+  description: 'Run the mobile scenarios in BrowserStack (or local WebDriver) sessions for a TEST_CONFIGURATIONS entry',
+  options: [
+    { name: 'testConfiguration', type: 'string', default: 'functional', choices: Object.keys(TEST_CONFIGURATIONS), description: 'TEST_CONFIGURATIONS entry (devices, networks, timeout, retries)' },
+    { name: 'url', type: 'string', default: 'http://localhost:3000', description: 'Application URL as seen from the remote browser' },
+    { name: 'hub', type: 'string', default: BROWSERSTACK_HUB, description: 'WebDriver endpoint; a local chromedriver or Selenium URL runs the same sessions without the grid' },
+    { name: 'devices', type: 'list', default: [], description: 'Only run these devices of the configuration' },
+    { name: 'networks', type: 'list', default: [], description: 'Networks to run instead of the configuration\'s' },
+    { name: 'concurrency', type: 'number', default: 2, description: 'Sessions run in parallel (keep within the plan\'s parallel limit)' },
+    { name: 'outputDir', type: 'string', default: './browserstack-results', description: 'Results directory' },
+    { name: 'dryRun', type: 'boolean', default: false, description: 'Print the session plan and capabilities without opening any session' },
+    reporterOption(['junit'])
+  ]
+};
+
+const isBrowserStackHub = (hub) => /(^|\.)browserstack\.com$/.test(new URL(hub).hostname);
+
+// Local stand-in: Chrome emulating the registry device; networks are not emulated
+function localCapabilities(deviceKey) {
+  const device = resolveDevice(deviceKey);
+  return {
+    browserName: 'chrome',
+    'goog:chromeOptions': {
+      args: ['--headless=new', '--no-sandbox', '--disable-dev-shm-usage'],
+      mobileEmulation: {
+        deviceMetrics: { width: device.width, height: device.height, pixelRatio: device.pixelRatio, touch: true, mobile: true },
+        userAgent: device.userAgent
+      }
+    }
+  };
+}
+
+// Sessions to open: compiled BrowserStack capabilities, or local Chrome ones for any other hub
+function planSessions(config) {
+  const plan = compileSessionPlan(config.testConfiguration, { devices: config.devices, networks: config.networks });
+  if (isBrowserStackHub(config.hub)) {
+    return plan;
+  }
+  return {
+    ...plan,
+    sessions: plan.sessions.map(session => ({ ...session, capabilities: localCapabilities(session.device), errors: [] })),
+    errors: []
+  };
+}
+
+// Print the plan without touching the network; capability errors fail the dry run
+function printSessionPlan(plan, config) {
+  const browserstack = isBrowserStackHub(config.hub);
+  const missingCredentials = browserstack ? Object.values(CREDENTIAL_VARIABLES).filter(variable => !process.env[variable]) : [];
+
+  console.log(`📋 Dry run: ${plan.sessions.length} sessions for ${plan.testConfiguration} on ${new URL(config.hub).host} (nothing is opened)`);
+  console.log(`⏱️ Timeout: ${plan.timeout}ms per session, ${plan.retries} retries, ${config.concurrency} in parallel`);
+  plan.sessions.forEach(session => {
+    console.log(`\n${session.errors.length > 0 ? '❌' : '✅'} ${session.device} / ${session.network}`);
+    console.log(JSON.stringify(redactCapabilities(session.capabilities), null, 2).replace(/^/gm, '    '));
+    session.errors.forEach(error => console.log(`    ⚠️ ${error}`));
+  });
+  if (missingCredentials.length > 0) {
+    console.warn(`\n⚠️ ${missingCredentials.join(' and ')} not set; a real run would stop here`);
+  }
+
+  return {
+    dryRun: true,
+    testConfiguration: plan.testConfiguration,
+    hub: new URL(config.hub).host,
+    timeout: plan.timeout,
+    retries: plan.retries,
+    sessions: plan.sessions.map(session => ({ ...session, capabilities: redactCapabilities(session.capabilities) })),
+    missingCredentials,
+    summary: {
+      total: plan.sessions.length,
+      invalid: plan.sessions.filter(session => session.errors.length > 0).length,
+      status: plan.errors.length === 0 ? RUN_STATUS.PASS : RUN_STATUS.FAIL
+    }
+  };
+}
+
+// Tell BrowserStack whether the session passed, so the dashboard matches our results
+async function reportSessionStatus(session, status, reason, config) {
+  if (!isBrowserStackHub(config.hub)) {
+    return false;
+  }
+  const command = { action: 'setSessionStatus', arguments: { status, reason: reason.substring(0, 255) } };
+  try {
+    await session.executeScript(`browserstack_executor: ${JSON.stringify(command)}`);
+    return true;
+  } catch (error) {
+    console.warn(`⚠️ Could not report status of session ${session.id}: ${error.message}`);
+    return false;
+  }
+}
+
+// One session: open it, run the scenarios, report status, close it
+async function runSession(cell, config, { timeout, retries }, credentials) {
+  const tag = `${cell.device}/${cell.network}`;
+  const deviceConfig = resolveDeviceConfig({
+    device: cell.device,
+    url: config.url,
+    screenshotDir: path.join(config.outputDir, 'screenshots', `${cell.device}-${cell.network}`),
+    baselineDir: VISUAL_DIFF_DEFAULTS.baselineDir,
+    diffDir: path.join(config.outputDir, 'screenshots', `${cell.device}-${cell.network}`, 'diffs'),
+    updateBaselines: false,
+    retries
+  });
+  await fs.mkdir(deviceConfig.screenshotDir, { recursive: true });
+
+  const session = await newSession(config.hub, {
+    capabilities: credentials ? withCredentials(cell.capabilities, credentials) : cell.capabilities,
+    username: credentials?.userName,
+    accessKey: credentials?.accessKey
+  });
+  console.log(`🔗 [${tag}] Session ${session.id} opened on ${new URL(config.hub).host}`);
+
+  const testResults = {
+    device: deviceConfig.device,
+    configuration: {
+      width: deviceConfig.width,
+      height: deviceConfig.height,
+      pixelRatio: deviceConfig.pixelRatio,
+      network: cell.network,
+      hub: new URL(config.hub).host,
+      sessionId: session.id
+    },
+    timestamp: new Date().toISOString(),
+    tests: {}
+  };
+
+  // At the deadline the scenarios are stopped and the results so far are kept; a scenario still
+  // running does not add to them afterwards
+  const tests = {};
+  const controller = new AbortController();
+  let timer;
+  let snapshot = null;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Session exceeded the ${timeout}ms timeout`);
+      snapshot = { ...tests };
+      controller.abort(error);
+      reject(error);
+    }, timeout);
+  });
+
+  try {
+    await session.setTimeouts({ pageLoad: timeout, script: Math.min(timeout, 60000) });
+    const driver = createWebDriverDriver(session, { resizable: !isBrowserStackHub(config.hub), signal: controller.signal });
+    await Promise.race([runScenarios(driver, MOBILE_TEST_SCENARIOS, deviceConfig, tests, tag, { signal: controller.signal }), deadline]);
+  } catch (error) {
+    testResults.error = error.message;
+  } finally {
+    clearTimeout(timer);
+  }
+  testResults.tests = snapshot || tests;
+
+  const failed = Object.entries(testResults.tests).filter(([, test]) => test.status === 'failed');
+  const passed = !testResults.error && failed.length === 0;
+  const flaky = Object.entries(testResults.tests).filter(([, test]) => test.status === 'flaky');
+  const reason = testResults.error || (failed.length > 0 ?
+    `Failed: ${failed.map(([name]) => name).join(', ')}` :
+    `${Object.values(testResults.tests).filter(test => test.status === 'passed').length} scenarios passed` +
+    (flaky.length > 0 ? `, flaky: ${flaky.map(([name]) => name).join(', ')}` : ''));
+
+  testResults.statusReported = await reportSessionStatus(session, passed ? 'passed' : 'failed', reason, config);
+  await session.deleteSession().catch(error => console.warn(`⚠️ [${tag}] Could not close session ${session.id}: ${error.message}`));
+
+  testResults.summary = {
+    ...summarizeTests(testResults.tests),
+    status: passed ? RUN_STATUS.PASS : RUN_STATUS.FAIL
+  };
+
+  return testResults;
+}
+
+// Run one cell. Failed scenarios are retried inside the session; a session that could not be
+// opened or ran past the timeout is retried in a new one, up to `retries` times each.
+async function runCell(cell, config, { timeout, retries }, credentials) {
+  const tag = `${cell.device}/${cell.network}`;
+  const attempts = [];
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    const startTime = Date.now();
+    let testResults;
+    try {
+      testResults = await runSession(cell, config, { timeout, retries }, credentials);
+    } catch (error) {
+      // The session never opened (grid full, bad capabilities, hub unreachable)
+      testResults = { device: cell.device, error: error.message, summary: { status: RUN_STATUS.FAIL } };
+      console.error(`❌ [${tag}] Session failed:`, error.message);
+    }
+
+    attempts.push({
+      attempt,
+      sessionId: testResults.configuration?.sessionId || null,
+      status: testResults.summary.status,
+      error: testResults.error,
+      duration: Date.now() - startTime
+    });
+
+    // Scenario failures have had their retries already
+    if (!testResults.error || attempt > retries) {
+      const status = testResults.summary.status === RUN_STATUS.PASS ? 'passed' : 'failed';
+      console.log(`${status === 'passed' ? '✅' : '❌'} [${tag}] ${status} after ${attempt} attempt${attempt > 1 ? 's' : ''}`);
+      return { device: cell.device, network: cell.network, capabilities: redactCapabilities(cell.capabilities), status, attempts, testResults };
+    }
+    console.log(`🔁 [${tag}] Retrying session (${attempt}/${retries})`);
+  }
+
+  return null;
+}
+
+// Main remote testing function
+async function runBrowserStackTests(config) {
+  const testConfiguration = TEST_CONFIGURATIONS[config.testConfiguration];
+  const plan = planSessions(config);
+
+  if (config.dryRun) {
+    return printSessionPlan(plan, config);
+  }
+  if (plan.errors.length > 0) {
+    throw new ConfigurationError(`Invalid BrowserStack sessions (see --dry-run):\n  - ${plan.errors.join('\n  - ')}`);
+  }
+  const credentials = isBrowserStackHub(config.hub) ? resolveCredentials() : null;
+
+  console.log(`🚀 Starting remote tests: ${config.testConfiguration} on ${new URL(config.hub).host}`);
+  console.log(`🧮 Sessions: ${plan.sessions.length} (${plan.sessions.map(cell => `${cell.device}/${cell.network}`).join(', ')})`);
+  console.log(`⏱️ Timeout: ${testConfiguration.timeout}ms per session, ${testConfiguration.retries} retries`);
+
+  await fs.mkdir(config.outputDir, { recursive: true });
+
+  const results = await runWithConcurrency(plan.sessions, config.concurrency, cell => runCell(cell, config, testConfiguration, credentials));
+  const passedCells = results.filter(cell => cell.status === 'passed').length;
+
+  const report = {
+    timestamp: new Date().toISOString(),
+    testConfiguration: config.testConfiguration,
+    hub: new URL(config.hub).host,
+    url: config.url,
+    timeout: testConfiguration.timeout,
+    retries: testConfiguration.retries,
+    cells: results,
+    summary: {
+      total: results.length,
+      passed: passedCells,
+      failed: results.length - passedCells,
+      flaky: results.filter(cell => cell.status === 'passed' && (cell.attempts.length > 1 || cell.testResults.summary.flaky > 0)).length,
+      status: passedCells === results.length ? RUN_STATUS.PASS : RUN_STATUS.FAIL
+    }
+  };
+
+  console.log('\n📊 Remote Test Results:');
+  results.forEach(cell => {
+    const icon = cell.status === 'passed' ? '✅' : '❌';
+    console.log(`  ${icon} ${cell.device} on ${cell.network}: ${cell.status} (${cell.attempts.length} attempt${cell.attempts.length > 1 ? 's' : ''})`);
+  });
+  console.log(`  Passed: ${report.summary.passed}/${report.summary.total}${report.summary.flaky > 0 ? ` (${report.summary.flaky} after a retry)` : ''}`);
+
+  const reportFile = path.join(config.outputDir, `browserstack-${config.testConfiguration}.json`);
+  await fs.writeFile(reportFile, JSON.stringify(report, null, 2));
+  console.log(`💾 Results saved to: ${reportFile}`);
+
+  await writeReports(config.reporter || [], reportFile.replace(/\.json$/, ''), {
+    junit: () => toJUnitXml(results
+      .filter(cell => cell.testResults.tests)
+      .map(cell => toJUnitSuite(cell.testResults)))
+  });
+
+  return report;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  runCli(BROWSERSTACK_COMMAND, 'node scripts/browserstack-mobile-test.js', runBrowserStackTests);
+}
+
+module.exports = {
+  runBrowserStackTests,
+  BROWSERSTACK_COMMAND,
+  BROWSERSTACK_HUB,
+  planSessions,
+  localCapabilities
+};
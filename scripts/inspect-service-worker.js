@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+/**
+ * Service Worker Inspection Script
+ * Lists the registered service workers (scope, version and update state) over CDP and audits
+ * Cache Storage: entry sizes and ages, coverage of PWA_REQUIREMENTS.serviceWorker.cachePaths,
+ * stale or oversized caches, and authenticated API responses that must never be cached
+ */
+
+const { chromium } = require('playwright');
+const fs = require('fs').promises;
+const { PWA_REQUIREMENTS, TEST_SCENARIOS } = require('../config/mobile-testing.config');
+const { resolveDevice, toPlaywrightContextOptions } = require('../config/device-registry');
+const { JOURNEY_ACTIONS } = require('./user-journey-test');
+const { RUN_STATUS, runCli } = require('./lib/cli');
+const { ConfigurationError } = require('./lib/errors');
+const { reporterOption, toSarif, writeReports, reportBasePath } = require('./lib/reporters');
+
+// Finding types; errors fail the run, warnings are reported only
+const CACHE_RULES = {
+  'no-service-worker': { severity: 'error', description: 'No service worker is registered for the app' },
+  'missing-cache-path': { severity: 'error', description: 'A path from PWA_REQUIREMENTS.serviceWorker.cachePaths is not cached' },
+  'authenticated-response': { severity: 'error', description: 'An authenticated or private API response is stored in Cache Storage' },
+  'oversized-cache': { severity: 'error', description: 'A cache is larger than --max-cache-size' },
+  'oversized-entry': { severity: 'warning', description: 'A cached response is larger than --max-entry-size' },
+  'stale-entry': { severity: 'warning', description: 'A cached response is older than --max-age' },
+  'stale-cache': { severity: 'warning', description: 'Every entry of a cache is older than --max-age' },
+  'update-waiting': { severity: 'warning', description: 'A new service worker version is installed but waiting to activate' }
+};
+
+// Headers that mark a response as belonging to one user
+const CREDENTIAL_REQUEST_HEADERS = ['authorization', 'cookie', 'x-csrf-token'];
+const PRIVATE_CACHE_CONTROL = /\b(private|no-store)\b/i;
+
+const ENTRY_PAGE_SIZE = 100;
+
+// Command-line options (see scripts/lib/cli.js)
+const SERVICE_WORKER_COMMAND = {
+  name: 'sw',
+  description: 'List service workers and audit Cache Storage against PWA_REQUIREMENTS.serviceWorker',
+  options: [
+    { name: 'url', type: 'string', default: 'http://localhost:3000', description: 'Application URL' },
+    { name: 'device', type: 'string', default: 'Galaxy_A54', description: 'Device registry key or display name' },
+    { name: 'loginJourney', type: 'string', default: 'login_flow', description: 'TEST_SCENARIOS journey run first so authenticated pages are visited (empty to skip)' },
+    { name: 'apiPattern', type: 'string', default: '^/api/', description: 'Regular expression for API paths whose responses must not be cached when authenticated' },
+    { name: 'maxAge', type: 'number', default: 168, description: 'Age after which a cached response is stale (hours)' },
+    { name: 'maxCacheSize', type: 'number', default: 5120, description: 'Size limit of one cache (KB)' },
+    { name: 'maxEntrySize', type: 'number', default: 1024, description: 'Size limit of one cached response (KB)' },
+    { name: 'swTimeout', type: 'number', default: 15000, description: 'How long to wait for the service worker to activate (ms)' },
+    { name: 'output', type: 'string', default: './service-worker-report.json', description: 'Inspection report path' },
+    { name: 'swSource', type: 'string', default: 'next.config.js', description: 'Repository file that configures the service worker caches; SARIF findings are annotated on it' },
+    reporterOption(['sarif'])
+  ],
+  validate: (config) => {
+    try {
+      new RegExp(config.apiPattern);
+      return null;
+    } catch (error) {
+      return `--api-pattern is not a valid regular expression: ${error.message}`;
+    }
+  }
+};
+
+const formatKB = (bytes) => `${(bytes / 1024).toFixed(1)}KB`;
+const formatAge = (ms) => (ms >= 3600000 ? `${(ms / 3600000).toFixed(1)}h` : `${Math.round(ms / 60000)}min`);
+const headerMap = (headers = []) => Object.fromEntries(headers.map(({ name, value }) => [name.toLowerCase(), value]));
+
+// Registrations and versions as reported by the ServiceWorker domain
+async function listServiceWorkers(session) {
+  const registrations = new Map();
+  const versions = new Map();
+
+  session.on('ServiceWorker.workerRegistrationUpdated', ({ registrations: updated }) => {
+    updated.forEach(registration => registrations.set(registration.registrationId, registration));
+  });
+  session.on('ServiceWorker.workerVersionUpdated', ({ versions: updated }) => {
+    updated.forEach(version => versions.set(version.versionId, version));
+  });
+
+  // enable() replays the current state as update events
+  await session.send('ServiceWorker.enable');
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  return [...registrations.values()]
+    .filter(registration => !registration.isDeleted)
+    .map(registration => {
+      const registrationVersions = [...versions.values()]
+        .filter(version => version.registrationId === registration.registrationId && version.status !== 'redundant');
+      const active = registrationVersions.find(version => version.status === 'activated');
+      const waiting = registrationVersions.find(version => version.status === 'installed');
+      const installing = registrationVersions.find(version => ['new', 'installing', 'activating'].includes(version.status));
+
+      let updateState = 'up-to-date';
+      if (waiting) updateState = 'update-waiting';
+      else if (installing) updateState = active ? 'update-installing' : 'installing';
+      else if (!active) updateState = 'no-active-worker';
+
+      return {
+        registrationId: registration.registrationId,
+        scope: registration.scopeURL,
+        scriptURL: (active || waiting || installing)?.scriptURL || null,
+        runningStatus: active?.runningStatus || null,
+        controlledClients: active?.controlledClients?.length || 0,
+        scriptLastModified: active?.scriptLastModified ? new Date(active.scriptLastModified * 1000).toISOString() : null,
+        updateState,
+        versions: registrationVersions.map(version => ({ versionId: version.versionId, status: version.status, scriptURL: version.scriptURL }))
+      };
+    });
+}
+
+// Every entry of every cache for the origin, with body size and age
+async function readCacheStorage(session, origin) {
+  const { caches } = await session.send('CacheStorage.requestCacheNames', { securityOrigin: origin });
+  const now = Date.now();
+  const result = [];
+
+  for (const cache of caches) {
+    const entries = [];
+    for (let skipCount = 0; ; skipCount += ENTRY_PAGE_SIZE) {
+      const { cacheDataEntries } = await session.send('CacheStorage.requestEntries', {
+        cacheId: cache.cacheId,
+        skipCount,
+        pageSize: ENTRY_PAGE_SIZE
+      });
+      entries.push(...cacheDataEntries);
+      if (cacheDataEntries.length < ENTRY_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    const detailed = [];
+    for (const entry of entries) {
+      const { response } = await session.send('CacheStorage.requestCachedResponse', {
+        cacheId: cache.cacheId,
+        requestURL: entry.requestURL,
+        requestHeaders: entry.requestHeaders
+      });
+      // responseTime is in seconds since the epoch
+      const cachedAt = entry.responseTime ? entry.responseTime * 1000 : null;
+      detailed.push({
+        url: entry.requestURL,
+        method: entry.requestMethod,
+        status: entry.responseStatus,
+        type: entry.responseType,
+        size: Buffer.byteLength(response.body || '', 'base64'),
+        cachedAt: cachedAt ? new Date(cachedAt).toISOString() : null,
+        age: cachedAt ? now - cachedAt : null,
+        requestHeaders: headerMap(entry.requestHeaders),
+        responseHeaders: headerMap(entry.responseHeaders)
+      });
+    }
+
+    const ages = detailed.map(entry => entry.age).filter(age => age !== null);
+    result.push({
+      name: cache.cacheName,
+      entryCount: detailed.length,
+      size: detailed.reduce((total, entry) => total + entry.size, 0),
+      oldestAge: ages.length > 0 ? Math.max(...ages) : null,
+      newestAge: ages.length > 0 ? Math.min(...ages) : null,
+      entries: detailed
+    });
+  }
+
+  return result;
+}
+
+// Why a cached entry counts as an authenticated response, or null
+function authenticatedReason(entry, apiPattern) {
+  const { pathname } = new URL(entry.url);
+  if (!apiPattern.test(pathname)) {
+    return null;
+  }
+  const credential = CREDENTIAL_REQUEST_HEADERS.find(header => header in entry.requestHeaders);
+  if (credential) {
+    return `request carried ${credential}`;
+  }
+  if ('set-cookie' in entry.responseHeaders) {
+    return 'response sets a cookie';
+  }
+  if (PRIVATE_CACHE_CONTROL.test(entry.responseHeaders['cache-control'] || '')) {
+    return `response is Cache-Control: ${entry.responseHeaders['cache-control']}`;
+  }
+  if (entry.status === 401 || entry.status === 403) {
+    return `response status ${entry.status}`;
+  }
+  return null;
+}
+
+// Compare the caches with the requirements and limits
+function auditCaches(workers, caches, config) {
+  const findings = [];
+  const add = (ruleId, message, uri, details = {}) => {
+    findings.push({ ruleId, severity: CACHE_RULES[ruleId].severity, message, uri, ...details });
+  };
+
+  const maxAge = config.maxAge * 3600000;
+  const apiPattern = new RegExp(config.apiPattern);
+
+  if (workers.length === 0) {
+    add('no-service-worker', `No service worker registered for ${config.url}`, config.url);
+  }
+  workers.filter(worker => worker.updateState === 'update-waiting').forEach(worker => {
+    add('update-waiting', `New version of ${worker.scriptURL} is waiting to activate (scope ${worker.scope})`, worker.scriptURL);
+  });
+
+  // Coverage: a path counts as cached if any cache holds a GET for it
+  const cachedPaths = new Set(caches.flatMap(cache => cache.entries
+    .filter(entry => entry.method === 'GET')
+    .map(entry => new URL(entry.url).pathname.replace(/\/$/, '') || '/')));
+  const coverage = PWA_REQUIREMENTS.serviceWorker.cachePaths.map(cachePath => ({
+    path: cachePath,
+    cached: cachedPaths.has(cachePath.replace(/\/$/, '') || '/')
+  }));
+  coverage.filter(item => !item.cached).forEach(item => {
+    add('missing-cache-path', `${item.path} is not in any cache`, new URL(item.path, config.url).href);
+  });
+
+  caches.forEach(cache => {
+    if (cache.size > config.maxCacheSize * 1024) {
+      add('oversized-cache', `Cache "${cache.name}" holds ${formatKB(cache.size)} (limit: ${config.maxCacheSize}KB)`, config.url, { cache: cache.name });
+    }
+    if (cache.newestAge !== null && cache.newestAge > maxAge) {
+      add('stale-cache', `Cache "${cache.name}" has not been written for ${formatAge(cache.newestAge)} (limit: ${config.maxAge}h)`, config.url, { cache: cache.name });
+    }
+
+    cache.entries.forEach(entry => {
+      const reason = authenticatedReason(entry, apiPattern);
+      if (reason) {
+        add('authenticated-response', `${entry.method} ${entry.url} is cached in "${cache.name}" (${reason})`, entry.url, { cache: cache.name });
+      }
+      if (entry.size > config.maxEntrySize * 1024) {
+        add('oversized-entry', `${entry.url} is ${formatKB(entry.size)} (limit: ${config.maxEntrySize}KB)`, entry.url, { cache: cache.name });
+      }
+      // A whole stale cache is reported once rather than per entry
+      if (entry.age !== null && entry.age > maxAge && !(cache.newestAge > maxAge)) {
+        add('stale-entry', `${entry.url} was cached ${formatAge(entry.age)} ago (limit: ${config.maxAge}h)`, entry.url, { cache: cache.name });
+      }
+    });
+  });
+
+  return { coverage, findings };
+}
+
+// Main inspection function
+async function inspectServiceWorker(config) {
+  const device = resolveDevice(config.device);
+  const origin = new URL(config.url).origin;
+
+  let loginSteps = [];
+  if (config.loginJourney) {
+    const journey = TEST_SCENARIOS.userJourneys.find(candidate => candidate.name === config.loginJourney);
+    if (!journey) {
+      throw new ConfigurationError(`Journey ${config.loginJourney} not found in TEST_SCENARIOS.userJourneys`);
+    }
+    loginSteps = journey.steps;
+  }
+
+  console.log(`⚙️ Inspecting service workers for ${config.url} on ${device.name}`);
+
+  const browser = await chromium.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-dev-shm-usage']
+  });
+
+  let workers;
+  let caches;
+  try {
+    const context = await browser.newContext({ ...toPlaywrightContextOptions(device.key), serviceWorkers: 'allow' });
+    const page = await context.newPage();
+
+    await page.goto(config.url, { waitUntil: 'load' });
+    await page.evaluate(waitMs => ('serviceWorker' in navigator ? Promise.race([
+      navigator.serviceWorker.ready,
+      new Promise(resolve => setTimeout(resolve, waitMs))
+    ]) : null).then(() => null), config.swTimeout);
+
+    // Signed-in browsing is what would put authenticated responses into the caches
+    for (const step of loginSteps) {
+      await JOURNEY_ACTIONS[step.action](page, step, config);
+    }
+    for (const cachePath of PWA_REQUIREMENTS.serviceWorker.cachePaths) {
+      await page.goto(new URL(cachePath, config.url).href, { waitUntil: 'networkidle' }).catch(() => {});
+    }
+
+    const session = await context.newCDPSession(page);
+    workers = await listServiceWorkers(session);
+    caches = await readCacheStorage(session, origin);
+
+    await context.close();
+  } finally {
+    await browser.close();
+  }
+
+  const { coverage, findings } = auditCaches(workers, caches, config);
+  const errors = findings.filter(finding => finding.severity === 'error');
+
+  const results = {
+    url: config.url,
+    device: device.key,
+    timestamp: new Date().toISOString(),
+    limits: { maxAge: config.maxAge, maxCacheSize: config.maxCacheSize, maxEntrySize: config.maxEntrySize, apiPattern: config.apiPattern },
+    workers,
+    caches,
+    coverage,
+    findings,
+    summary: {
+      status: errors.length === 0 ? RUN_STATUS.PASS : RUN_STATUS.FAIL,
+      workers: workers.length,
+      caches: caches.length,
+      entries: caches.reduce((total, cache) => total + cache.entryCount, 0),
+      totalSize: caches.reduce((total, cache) => total + cache.size, 0),
+      errors: errors.length,
+      warnings: findings.length - errors.length
+    }
+  };
+
+  console.log('\n⚙️ Service Workers:');
+  if (workers.length === 0) {
+    console.log('   ❌ none registered');
+  }
+  workers.forEach(worker => {
+    console.log(`   ${worker.updateState === 'up-to-date' ? '✅' : '⚠️'} ${worker.scriptURL} (scope ${worker.scope}, ${worker.runningStatus || 'not running'}, ${worker.updateState})`);
+  });
+
+  console.log('\n🗄️ Cache Storage:');
+  caches.forEach(cache => {
+    const age = cache.newestAge === null ? 'unknown age' : `newest ${formatAge(cache.newestAge)}, oldest ${formatAge(cache.oldestAge)}`;
+    console.log(`   ${cache.name}: ${cache.entryCount} entries, ${formatKB(cache.size)} (${age})`);
+  });
+
+  console.log('\n📄 Cache paths:');
+  coverage.forEach(item => console.log(`   ${item.cached ? '✅' : '❌'} ${item.path}`));
+
+  if (findings.length > 0) {
+    console.log('\n🚨 Findings:');
+    findings.forEach(finding => console.log(`   ${finding.severity === 'error' ? '❌' : '⚠️'} [${finding.ruleId}] ${finding.message}`));
+  }
+
+  console.log(`\n📋 Status: ${results.summary.status} (${results.summary.errors} errors, ${results.summary.warnings} warnings)`);
+
+  await fs.writeFile(config.output, JSON.stringify(results, null, 2));
+  console.log(`💾 Inspection report saved to: ${config.output}`);
+
+  await writeReports(config.reporter || [], reportBasePath(config.output), {
+    sarif: () => toSarif({
+      command: SERVICE_WORKER_COMMAND.name,
+      informationUri: 'https://developer.chrome.com/docs/devtools/storage/cache',
+      rules: Object.entries(CACHE_RULES).map(([id, rule]) => ({ id, description: rule.description })),
+      findings: findings.map(finding => ({
+        ruleId: finding.ruleId,
+        level: finding.severity === 'error' ? 'error' : 'warning',
+        message: finding.message,
+        file: config.swSource,
+        url: finding.uri,
+        ...(finding.cache ? { properties: { cache: finding.cache } } : {})
+      }))
+    })
+  });
+
+  return results;
+}
+
+// Run inspection if called directly
+if (require.main === module) {
+  runCli(SERVICE_WORKER_COMMAND, 'node scripts/inspect-service-worker.js', inspectServiceWorker);
+}
+
+module.exports = { inspectServiceWorker, SERVICE_WORKER_COMMAND, CACHE_RULES, auditCaches };
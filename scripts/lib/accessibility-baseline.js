@@ -0,0 +1,124 @@
+/**
+ * Accessibility Baseline
+ * Known axe-core violations keyed by rule id, page and a stable node target fingerprint,
+ * so legacy screens can be gated on new violations only
+ */
+
+const fs = require('fs').promises;
+const { ReportFormatError } = require('./errors');
+
+const DEFAULT_BASELINE_PATH = './accessibility-baseline.json';
+const BASELINE_VERSION = 1;
+
+// Build-generated parts of a selector that change between builds without the element changing:
+// CSS-in-JS classes, CSS module hashes (Home_main__nLjiQ) and generated ids
+const UNSTABLE_SELECTOR_PARTS = [
+  [/\.(css|jsx|sc|emotion)-[\w-]+/g, ''],
+  [/\.([A-Za-z][\w-]*?_[\w-]+?)__[\w-]{5,}/g, '.$1'],
+  [/#(radix|headlessui|react-aria)-[^\s>+~.[]+/g, ''],
+  [/#\\?:r[0-9a-z]+\\?:/g, '']
+];
+
+// Normalised target for one axe node; frames and shadow roots are joined with " >> "
+function fingerprintTarget(target) {
+  const selector = (Array.isArray(target) ? target : [target])
+    .map(part => (Array.isArray(part) ? part.join(' >>> ') : part))
+    .join(' >> ');
+
+  return UNSTABLE_SELECTOR_PARTS
+    .reduce((normalised, [pattern, replacement]) => normalised.replace(pattern, replacement), selector)
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const baselineKey = (ruleId, page, fingerprint) => `${ruleId}|${page}|${fingerprint}`;
+
+// One baseline entry per violating node; `defaultPage` covers reports without per-node pages
+function collectViolationEntries(violations, defaultPage) {
+  const entries = new Map();
+
+  violations.forEach(violation => {
+    violation.nodes.forEach(node => {
+      const page = node.page || defaultPage;
+      const fingerprint = fingerprintTarget(node.target);
+      const key = baselineKey(violation.id, page, fingerprint);
+
+      if (!entries.has(key)) {
+        entries.set(key, { key, rule: violation.id, page, fingerprint, impact: violation.impact, help: violation.help });
+      }
+    });
+  });
+
+  return entries;
+}
+
+// Read a baseline file; a missing file is an empty baseline
+async function readBaseline(baselinePath = DEFAULT_BASELINE_PATH) {
+  let content;
+  try {
+    content = await fs.readFile(baselinePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { version: BASELINE_VERSION, entries: [] };
+    }
+    throw new ReportFormatError(baselinePath, error.message, error);
+  }
+
+  let baseline;
+  try {
+    baseline = JSON.parse(content);
+  } catch (error) {
+    throw new ReportFormatError(baselinePath, error.message, error);
+  }
+  if (baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.entries)) {
+    throw new ReportFormatError(baselinePath, `unsupported accessibility baseline format (expected version ${BASELINE_VERSION})`);
+  }
+  return baseline;
+}
+
+// Rewrite the baseline from the current violations, sorted so diffs stay reviewable
+async function writeBaseline(violations, { url, baselinePath = DEFAULT_BASELINE_PATH }) {
+  const entries = [...collectViolationEntries(violations, url).values()]
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+  await fs.writeFile(baselinePath, `${JSON.stringify({
+    version: BASELINE_VERSION,
+    updated: new Date().toISOString(),
+    url,
+    entries
+  }, null, 2)}\n`);
+
+  return entries;
+}
+
+// Split current violations into new and already known, and list baseline entries now fixed.
+// `newViolations` keeps the axe shape with only the new nodes, so it can be scored as usual.
+function compareWithBaseline(violations, baseline, defaultPage) {
+  const knownKeys = new Set(baseline.entries.map(entry => entry.key));
+  const currentKeys = new Set(collectViolationEntries(violations, defaultPage).keys());
+
+  const newViolations = violations
+    .map(violation => ({
+      ...violation,
+      nodes: violation.nodes.filter(node =>
+        !knownKeys.has(baselineKey(violation.id, node.page || defaultPage, fingerprintTarget(node.target))))
+    }))
+    .filter(violation => violation.nodes.length > 0);
+
+  const newCount = newViolations.reduce((count, violation) => count + violation.nodes.length, 0);
+
+  return {
+    newViolations,
+    newCount,
+    knownCount: [...currentKeys].filter(key => knownKeys.has(key)).length,
+    fixed: baseline.entries.filter(entry => !currentKeys.has(entry.key))
+  };
+}
+
+module.exports = {
+  DEFAULT_BASELINE_PATH,
+  fingerprintTarget,
+  readBaseline,
+  writeBaseline,
+  compareWithBaseline
+};
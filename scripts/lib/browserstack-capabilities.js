@@ -0,0 +1,148 @@
+/**
+ * BrowserStack Capabilities
+ * Compiles the W3C capabilities of every session in a TEST_CONFIGURATIONS run, checks them
+ * against the bundled device catalogue (config/browserstack-devices.json) and adds credentials
+ * from the environment when a session is opened. Capabilities are logged and saved only
+ * through redactCapabilities().
+ */
+
+const { TEST_CONFIGURATIONS, NETWORK_PROFILES, buildCapabilities, getDeviceCapabilities } = require('../../config/browserstack.config');
+const DEVICE_CATALOGUE = require('../../config/browserstack-devices.json');
+const { ConfigurationError } = require('./errors');
+
+// Environment variables holding the credentials, by bstack:options key
+const CREDENTIAL_VARIABLES = {
+  userName: 'BROWSERSTACK_USERNAME',
+  accessKey: 'BROWSERSTACK_ACCESS_KEY'
+};
+
+// Top-level capabilities defined by W3C WebDriver; anything else must be vendor-prefixed
+const W3C_CAPABILITIES = [
+  'browserName', 'browserVersion', 'platformName', 'acceptInsecureCerts', 'pageLoadStrategy', 'proxy',
+  'setWindowRect', 'timeouts', 'strictFileInteractability', 'unhandledPromptBehavior', 'webSocketUrl'
+];
+
+const REDACTED = '[redacted]';
+
+// Credentials from the environment; a run without them would fail at the grid with a less useful error
+function resolveCredentials(env = process.env) {
+  const missing = Object.values(CREDENTIAL_VARIABLES).filter(variable => !env[variable]);
+  if (missing.length > 0) {
+    throw new ConfigurationError(`Missing BrowserStack credentials: set ${missing.join(' and ')}`);
+  }
+  return Object.fromEntries(Object.entries(CREDENTIAL_VARIABLES).map(([option, variable]) => [option, env[variable]]));
+}
+
+const withCredentials = (capabilities, credentials) => ({
+  ...capabilities,
+  'bstack:options': { ...capabilities['bstack:options'], ...credentials }
+});
+
+// Copy safe to log: credentials in bstack:options and in URLs (proxy settings) are replaced
+function redactCapabilities(capabilities) {
+  return JSON.parse(JSON.stringify(capabilities, (key, value) => {
+    if (Object.keys(CREDENTIAL_VARIABLES).includes(key) && value) {
+      return REDACTED;
+    }
+    if (typeof value === 'string') {
+      return value.replace(/(\/\/)[^/@\s]+@/g, `$1${REDACTED}@`);
+    }
+    return value;
+  }));
+}
+
+// Problems with one set of capabilities: non-W3C keys, and device/OS/browser combinations
+// BrowserStack does not offer according to the catalogue
+function validateCapabilities(capabilities, catalogue = DEVICE_CATALOGUE) {
+  const errors = [];
+  const options = capabilities['bstack:options'] || {};
+  const browserName = (capabilities.browserName || '').toLowerCase();
+
+  Object.keys(capabilities)
+    .filter(key => !W3C_CAPABILITIES.includes(key) && !key.includes(':'))
+    .forEach(key => errors.push(`"${key}" is not a W3C capability; BrowserStack settings belong in bstack:options`));
+  Object.keys(options)
+    .filter(key => key.startsWith('browserstack.'))
+    .forEach(key => errors.push(`"${key}" is a legacy JSON-wire key; use its bstack:options name`));
+  if (!browserName) {
+    errors.push('browserName is missing');
+  }
+
+  if (options.deviceName) {
+    const entry = catalogue.mobile.find(device => device.device.toLowerCase() === options.deviceName.toLowerCase());
+    if (!entry) {
+      errors.push(`Device "${options.deviceName}" is not in the BrowserStack device catalogue`);
+    } else {
+      if (!entry.osVersions.includes(String(options.osVersion))) {
+        errors.push(`${entry.device} is not offered with OS version ${options.osVersion} (available: ${entry.osVersions.join(', ')})`);
+      }
+      if (browserName && !entry.browsers.includes(browserName)) {
+        errors.push(`${entry.device} does not offer ${browserName} (available: ${entry.browsers.join(', ')})`);
+      }
+    }
+    return errors;
+  }
+
+  const entry = catalogue.desktop.find(platform => platform.os === options.os);
+  if (!entry) {
+    errors.push(`Neither a deviceName nor a catalogue desktop OS (${catalogue.desktop.map(platform => platform.os).join(', ')}) is set`);
+  } else {
+    if (!entry.osVersions.includes(String(options.osVersion))) {
+      errors.push(`${entry.os} is not offered in version ${options.osVersion} (available: ${entry.osVersions.join(', ')})`);
+    }
+    if (browserName && !entry.browsers.includes(browserName)) {
+      errors.push(`${entry.os} does not offer ${browserName} (available: ${entry.browsers.join(', ')})`);
+    }
+  }
+  return errors;
+}
+
+// W3C capabilities for one device × network session, without credentials
+function compileCapabilities(device, network, { testName } = {}) {
+  if (!getDeviceCapabilities(device)) {
+    throw new ConfigurationError(`Device ${device} is not a BrowserStack device in browserstack.config.js`);
+  }
+  if (!NETWORK_PROFILES[network]) {
+    throw new ConfigurationError(`Network ${network} not found in NETWORK_PROFILES (available: ${Object.keys(NETWORK_PROFILES).join(', ')})`);
+  }
+  return buildCapabilities(device, network, { testName });
+}
+
+// Every session of a TEST_CONFIGURATIONS entry, narrowed to `devices`/`networks` when given.
+// Validation problems are collected per session so a dry run can show all of them at once.
+function compileSessionPlan(testConfiguration, { devices = [], networks = [] } = {}) {
+  const settings = TEST_CONFIGURATIONS[testConfiguration];
+  if (!settings) {
+    throw new ConfigurationError(`Test configuration ${testConfiguration} not found in TEST_CONFIGURATIONS (available: ${Object.keys(TEST_CONFIGURATIONS).join(', ')})`);
+  }
+
+  const unknown = devices.filter(device => !settings.devices.includes(device));
+  if (unknown.length > 0) {
+    throw new ConfigurationError(`Devices not in TEST_CONFIGURATIONS.${testConfiguration}: ${unknown.join(', ')} (available: ${settings.devices.join(', ')})`);
+  }
+
+  const sessions = (devices.length > 0 ? devices : settings.devices).flatMap(device =>
+    (networks.length > 0 ? networks : settings.networks).map(network => {
+      const capabilities = compileCapabilities(device, network, { testName: testConfiguration });
+      return { device, network, capabilities, errors: validateCapabilities(capabilities) };
+    }));
+
+  return {
+    testConfiguration,
+    timeout: settings.timeout,
+    retries: settings.retries,
+    sessions,
+    errors: sessions.flatMap(session => session.errors.map(error => `${session.device}/${session.network}: ${error}`))
+  };
+}
+
+module.exports = {
+  CREDENTIAL_VARIABLES,
+  DEVICE_CATALOGUE,
+  resolveCredentials,
+  withCredentials,
+  redactCapabilities,
+  validateCapabilities,
+  compileCapabilities,
+  compileSessionPlan
+};
@@ -0,0 +1,279 @@
+/**
+ * Command-line Options
+ * Declarative option parsing shared by the QA scripts and the tms-qa CLI:
+ * --key value, --key=value, boolean flags, --no-<flag>, config files and TMS_QA_* env overrides
+ */
+
+const path = require('path');
+const { EXIT_CODES, QaError, UsageError } = require('./errors');
+
+const ENV_PREFIX = 'TMS_QA_';
+
+// Options every command understands
+const BUILT_IN_OPTIONS = [
+  { name: 'config', type: 'string', description: 'JSON or JS config file; a section named after the command overrides shared keys' },
+  { name: 'help', type: 'boolean', env: false, description: 'Show this help' }
+];
+
+// Status every runner reports in `result.summary.status`
+const RUN_STATUS = Object.freeze({
+  PASS: 'PASS',
+  FAIL: 'FAIL'
+});
+
+// --update-baselines, --updateBaselines and --updatebaselines all name updateBaselines
+const normalizeName = (name) => name.toLowerCase().replace(/-/g, '');
+
+// maxLCP -> TMS_QA_MAX_LCP
+const toEnvName = (name) => ENV_PREFIX + name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+
+// updateBaselines -> --update-baselines (help output only)
+const toFlag = (name) => `--${name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()}`;
+
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestOption(name, options) {
+  const normalized = normalizeName(name);
+  const [closest] = options
+    .map(option => ({ option, distance: levenshtein(normalized, normalizeName(option.name)) }))
+    .sort((a, b) => a.distance - b.distance);
+  return closest && closest.distance <= 2 ? ` (did you mean ${toFlag(closest.option.name)}?)` : '';
+}
+
+const BOOLEAN_VALUES = { true: true, false: false, yes: true, no: false, 1: true, 0: false };
+
+// Convert a raw string (or config-file value) to the option's type
+function coerceValue(option, value, source) {
+  const fail = (expected) => {
+    throw new UsageError(`Invalid value for ${toFlag(option.name)} from ${source}: ${JSON.stringify(value)} (expected ${expected})`);
+  };
+
+  let coerced = value;
+  switch (option.type) {
+    case 'number':
+      coerced = typeof value === 'number' ? value : Number(value);
+      if (value === '' || Number.isNaN(coerced)) fail('a number');
+      break;
+    case 'boolean':
+      coerced = typeof value === 'boolean' ? value : BOOLEAN_VALUES[String(value).toLowerCase()];
+      if (coerced === undefined) fail('true or false');
+      break;
+    case 'list':
+      coerced = Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+      // `items: 'integer'` lists (viewport widths) take positive whole numbers only
+      if (option.items === 'integer') {
+        if (coerced.length === 0 || !coerced.every(item => /^[1-9]\d*$/.test(String(item)))) fail('comma-separated positive integers');
+        coerced = coerced.map(Number);
+      }
+      break;
+    default:
+      // String options that may also be given as a bare flag keep `true`
+      coerced = option.allowFlag && value === true ? true : String(value);
+  }
+
+  if (option.choices && ![].concat(coerced).every(item => option.choices.includes(item))) {
+    fail(`one of ${option.choices.join(', ')}`);
+  }
+
+  return coerced;
+}
+
+// Load --config; keys outside a command section apply to every command that has the option
+function loadConfigFile(configPath, commandName, options) {
+  let fileConfig;
+  try {
+    fileConfig = require(path.resolve(configPath));
+  } catch (error) {
+    throw new UsageError(`Cannot load config file ${configPath}: ${error.message}`);
+  }
+
+  const shared = Object.fromEntries(Object.entries(fileConfig).filter(([, value]) =>
+    value === null || typeof value !== 'object' || Array.isArray(value)));
+  const section = (commandName && fileConfig[commandName]) || {};
+
+  const values = {};
+  Object.entries({ ...shared, ...section }).forEach(([key, value]) => {
+    const option = options.find(item => normalizeName(item.name) === normalizeName(key));
+    if (option) {
+      values[option.name] = coerceValue(option, value, configPath);
+    } else if (key in section) {
+      throw new UsageError(`Unknown option "${key}" in ${configPath} [${commandName}]${suggestOption(key, options)}`);
+    }
+  });
+  return values;
+}
+
+// Read TMS_QA_* variables for the known options
+function loadEnvironment(options, env) {
+  const values = {};
+  options.forEach(option => {
+    const envName = toEnvName(option.name);
+    if (env[envName] !== undefined) {
+      values[option.name] = coerceValue(option, env[envName], envName);
+    }
+  });
+  return values;
+}
+
+// Parse argv against `command.options`. Precedence: defaults < config file < env < command line.
+function parseOptions(argv, command, env = process.env) {
+  const options = [...command.options, ...BUILT_IN_OPTIONS];
+  const findOption = (name) => options.find(option => normalizeName(option.name) === normalizeName(name));
+
+  const cliValues = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new UsageError(`Unexpected argument "${arg}"`);
+    }
+
+    const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    let option = findOption(rawName);
+    let value = inlineValue;
+
+    // --no-<flag>
+    if (!option && rawName.startsWith('no-') && findOption(rawName.slice(3))?.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`${arg} does not take a value`);
+      }
+      option = findOption(rawName.slice(3));
+      value = false;
+    }
+
+    if (!option) {
+      throw new UsageError(`Unknown option --${rawName}${suggestOption(rawName, options)}`);
+    }
+
+    if (value === undefined) {
+      const next = argv[i + 1];
+      const nextIsValue = next !== undefined && !next.startsWith('--');
+
+      if (option.type === 'boolean') {
+        // `--flag true` / `--flag false` is accepted alongside the bare flag
+        if (nextIsValue && next.toLowerCase() in BOOLEAN_VALUES) {
+          value = next;
+          i++;
+        } else {
+          value = true;
+        }
+      } else if (nextIsValue) {
+        value = next;
+        i++;
+      } else if (option.allowFlag) {
+        value = true;
+      } else {
+        throw new UsageError(`Option ${toFlag(option.name)} requires a value`);
+      }
+    }
+
+    cliValues[option.name] = coerceValue(option, value, 'the command line');
+  }
+
+  if (cliValues.help) {
+    return { help: true };
+  }
+
+  const defaults = Object.fromEntries(command.options
+    .filter(option => option.default !== undefined)
+    .map(option => [option.name, option.default]));
+  const configPath = cliValues.config || env[toEnvName('config')];
+  const fileValues = configPath ? loadConfigFile(configPath, command.name, command.options) : {};
+  const config = { ...defaults, ...fileValues, ...loadEnvironment(command.options, env), ...cliValues };
+  delete config.config;
+  delete config.help;
+
+  const missing = command.options.find(option => option.required && config[option.name] === undefined);
+  if (missing) {
+    throw new UsageError(`Missing required option ${toFlag(missing.name)}`);
+  }
+
+  const problem = command.validate && command.validate(config);
+  if (problem) {
+    throw new UsageError(problem);
+  }
+
+  return config;
+}
+
+// Generated help text for one command
+function formatHelp(command, usage) {
+  const options = [...command.options, ...BUILT_IN_OPTIONS];
+  const placeholder = (option) => {
+    if (option.type === 'boolean') return '';
+    const value = option.choices ? option.choices.join('|') : option.type === 'list' ? 'a,b' : option.type === 'number' ? 'n' : 'value';
+    return option.allowFlag ? ` [${value}]` : ` <${value}>`;
+  };
+  const rows = options.map(option => [`  ${toFlag(option.name)}${placeholder(option)}`, option]);
+  const width = Math.max(...rows.map(([flag]) => flag.length)) + 2;
+
+  return [
+    `Usage: ${usage} [options]`,
+    '',
+    command.description,
+    '',
+    'Options:',
+    ...rows.map(([flag, option]) => {
+      const notes = [
+        option.required ? 'required' : null,
+        option.default !== undefined && option.default !== null ? `default: ${JSON.stringify(option.default)}` : null,
+        option.env === false ? null : `env: ${toEnvName(option.name)}`
+      ].filter(Boolean).join(', ');
+      return `${flag.padEnd(width)}${option.description}${notes ? ` (${notes})` : ''}`;
+    }),
+    ''
+  ].join('\n');
+}
+
+const exitCodeForResult = (result) => (result.summary.status === RUN_STATUS.PASS ? EXIT_CODES.PASS : EXIT_CODES.FAIL);
+
+const exitCodeForError = (error) => (error instanceof QaError ? error.exitCode : EXIT_CODES.ERROR);
+
+// CLI entry point: parse options, run, and map the result or error to an exit code.
+// Runners return their result and leave exiting to this function.
+async function runCli(command, usage, run, argv = process.argv.slice(2)) {
+  let exitCode;
+
+  try {
+    const config = parseOptions(argv, command);
+    if (config.help) {
+      console.log(formatHelp(command, usage));
+      exitCode = EXIT_CODES.PASS;
+    } else {
+      exitCode = exitCodeForResult(await run(config));
+    }
+  } catch (error) {
+    if (error instanceof QaError) {
+      console.error(`❌ ${error.message}`);
+    } else {
+      console.error('❌ Unexpected error:', error);
+    }
+    if (error instanceof UsageError) {
+      console.error(`Run "${usage} --help" for the available options.`);
+    }
+    exitCode = exitCodeForError(error);
+  }
+
+  process.exit(exitCode);
+}
+
+module.exports = {
+  ENV_PREFIX,
+  RUN_STATUS,
+  parseOptions,
+  formatHelp,
+  runCli,
+  exitCodeForResult,
+  exitCodeForError
+};
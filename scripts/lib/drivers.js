@@ -0,0 +1,182 @@
+/**
+ * Drivers
+ * The small browser interface the test scenarios are written against, with a Playwright and a
+ * W3C WebDriver implementation. Scenarios list the DRIVER_CAPABILITIES they need in `requires`;
+ * runners skip a scenario whose driver lacks one (status 'skipped') instead of failing it.
+ *
+ * evaluate(), addInitScript() and screenshot() match Playwright's page methods, so the in-page
+ * helpers (web vitals, layout, RTL and visual checks) accept a driver.
+ */
+
+const fs = require('fs').promises;
+
+// Capabilities a driver can offer
+const DRIVER_CAPABILITIES = {
+  navigate: 'load and reload pages',
+  evaluate: 'run functions in the page',
+  screenshot: 'capture the page',
+  viewport: 'resize the viewport',
+  offline: 'take the browser offline',
+  tap: 'tap elements and type on the keyboard'
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Navigation timeout when a scenario gives none, as in Playwright
+const DEFAULT_NAVIGATION_TIMEOUT = 30000;
+
+// Apply network and CPU throttling to a page through a CDP session.
+// NETWORK_CONDITIONS throughput is in Kbps while CDP expects bytes per second.
+// Chromium only applies packetLoss to WebRTC traffic; HTTP requests see latency and throughput only.
+async function applyThrottling(page, throttling) {
+  const client = await page.context().newCDPSession(page);
+  const { conditions } = throttling;
+
+  await client.send('Network.enable');
+  await client.send('Network.emulateNetworkConditions', {
+    offline: false,
+    latency: conditions.latency,
+    downloadThroughput: (conditions.downloadThroughput * 1024) / 8,
+    uploadThroughput: (conditions.uploadThroughput * 1024) / 8,
+    packetLoss: conditions.packetLoss
+  });
+  await client.send('Emulation.setCPUThrottlingRate', { rate: throttling.cpuSlowdownMultiplier });
+
+  return client;
+}
+
+// Playwright page. `hasTouch` should match the context; taps fall back to clicks without it.
+// `throttling` is re-applied when going back online, since Playwright clears CDP network emulation.
+function createPlaywrightDriver(page, { hasTouch = false, throttling = null } = {}) {
+  const first = (selector) => page.locator(selector).first();
+
+  return {
+    name: 'playwright',
+    capabilities: Object.keys(DRIVER_CAPABILITIES),
+    navigate: async (url, { waitUntil = 'load', timeout } = {}) => {
+      await page.goto(url, { waitUntil, timeout });
+    },
+    reload: async ({ waitUntil = 'load', timeout } = {}) => {
+      await page.reload({ waitUntil, timeout });
+    },
+    evaluate: (fn, arg) => page.evaluate(fn, arg),
+    addInitScript: (fn) => page.addInitScript(fn),
+    screenshot: (options) => page.screenshot(options),
+    setViewport: (size) => page.setViewportSize(size),
+    setOffline: async (offline) => {
+      await page.context().setOffline(offline);
+      if (!offline && throttling) {
+        await applyThrottling(page, throttling);
+      }
+    },
+    isVisible: (selector) => first(selector).isVisible(),
+    tap: (selector, { timeout = 5000 } = {}) => hasTouch ? first(selector).tap({ timeout }) : first(selector).click({ timeout }),
+    type: (text) => page.keyboard.type(text, { delay: 50 }),
+    press: (key) => page.keyboard.press(key),
+    textContent: (selector) => page.textContent(selector),
+    wait: (ms) => page.waitForTimeout(ms)
+  };
+}
+
+// Session from lib/webdriver-client. Real devices cannot be resized (`resizable: false`), and
+// WebDriver has no network emulation, so there is no offline capability.
+// Once `signal` is aborted every session command rejects with its reason instead of reaching the hub.
+function createWebDriverDriver(rawSession, { resizable = true, signal } = {}) {
+  const session = !signal ? rawSession : new Proxy(rawSession, {
+    get: (target, key) => typeof target[key] !== 'function' ? target[key] : async (...args) => {
+      signal.throwIfAborted();
+      return target[key](...args);
+    }
+  });
+  const initScripts = [];
+  // Functions are serialised and called with the argument, as Playwright does
+  const evaluate = (fn, arg) => session.executeScript(`return (${fn.toString()}).apply(null, arguments);`, arg === undefined ? [] : [arg]);
+
+  // WebDriver cannot run scripts before the page's own, so init scripts run right after load;
+  // buffered PerformanceObserver entries still cover what happened before
+  const afterNavigation = async (waitUntil, timeout = DEFAULT_NAVIGATION_TIMEOUT) => {
+    const deadline = Date.now() + timeout;
+    let readyState;
+    while ((readyState = await evaluate(() => document.readyState)) !== 'complete') {
+      if (Date.now() >= deadline) {
+        throw new Error(`Page did not finish loading within ${timeout}ms (document.readyState is "${readyState}")`);
+      }
+      await delay(100);
+    }
+    if (waitUntil === 'networkidle') {
+      await delay(500);
+    }
+    for (const script of initScripts) {
+      await evaluate(script);
+    }
+  };
+
+  const firstMatch = async (selector) => (await session.findElements(selector))[0] || null;
+
+  return {
+    name: 'webdriver',
+    capabilities: ['navigate', 'evaluate', 'screenshot', 'tap', ...(resizable ? ['viewport'] : [])],
+    navigate: async (url, { waitUntil, timeout } = {}) => {
+      await session.navigateTo(url);
+      await afterNavigation(waitUntil, timeout);
+    },
+    reload: async ({ waitUntil, timeout } = {}) => {
+      await session.refresh();
+      await afterNavigation(waitUntil, timeout);
+    },
+    evaluate,
+    addInitScript: async (fn) => {
+      initScripts.push(fn);
+    },
+    // Viewport only; WebDriver has no full-page screenshot
+    screenshot: async ({ path: filePath } = {}) => {
+      const image = await session.takeScreenshot();
+      if (filePath) {
+        await fs.writeFile(filePath, image);
+      }
+      return image;
+    },
+    // Sets the window size, which on desktop Chrome includes the browser frame
+    setViewport: async ({ width, height }) => {
+      if (!resizable) {
+        throw new Error('The viewport of this WebDriver session cannot be resized');
+      }
+      await session.setWindowRect({ width, height });
+    },
+    setOffline: async () => {
+      throw new Error('Offline emulation is not available on WebDriver sessions');
+    },
+    isVisible: async (selector) => {
+      const element = await firstMatch(selector);
+      return element ? session.isElementDisplayed(element) : false;
+    },
+    tap: async (selector) => {
+      const element = await firstMatch(selector);
+      if (!element) {
+        throw new Error(`No element matches ${selector}`);
+      }
+      await session.elementClick(element);
+    },
+    type: async (text) => session.elementSendKeys(await session.getActiveElement(), text),
+    press: (key) => session.pressKey(key),
+    textContent: (selector) => evaluate(target => document.querySelector(target)?.textContent ?? null, selector),
+    wait: delay
+  };
+}
+
+// Why a scenario cannot run on a driver, or null when it can
+function skipReason(scenario, driver) {
+  const missing = (scenario.requires || []).filter(capability => !driver.capabilities.includes(capability));
+  if (missing.length === 0) {
+    return null;
+  }
+  return `The ${driver.name} driver cannot ${missing.map(capability => DRIVER_CAPABILITIES[capability] || capability).join(' or ')}`;
+}
+
+module.exports = {
+  DRIVER_CAPABILITIES,
+  applyThrottling,
+  createPlaywrightDriver,
+  createWebDriverDriver,
+  skipReason
+};
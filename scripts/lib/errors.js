@@ -0,0 +1,70 @@
+/**
+ * QA Errors
+ * Typed errors thrown by the QA runners. Each carries the exit code the CLI entry points
+ * use for it, so runners never call process.exit themselves.
+ */
+
+// Exit codes of the CLI entry points
+const EXIT_CODES = {
+  PASS: 0,     // Run completed and met its thresholds
+  FAIL: 1,     // Run completed and missed its thresholds
+  USAGE: 2,    // Bad options, configuration or input files
+  ERROR: 3     // Run could not complete (browser, network, unexpected failure)
+};
+
+class QaError extends Error {
+  constructor(message, { cause, exitCode = EXIT_CODES.ERROR } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.exitCode = exitCode;
+  }
+}
+
+// Unknown or malformed command-line options
+class UsageError extends QaError {
+  constructor(message) {
+    super(message, { exitCode: EXIT_CODES.USAGE });
+  }
+}
+
+// Settings that parse but do not resolve (unknown network profile, processor tier, ...)
+class ConfigurationError extends QaError {
+  constructor(message) {
+    super(message, { exitCode: EXIT_CODES.USAGE });
+  }
+}
+
+class DeviceNotFoundError extends QaError {
+  constructor(device, available) {
+    super(`Device ${device} not found in device registry (available: ${available.join(', ')})`, { exitCode: EXIT_CODES.USAGE });
+    this.device = device;
+    this.available = available;
+  }
+}
+
+// An input report that cannot be read or is not in the expected shape
+class ReportFormatError extends QaError {
+  constructor(reportPath, reason, cause) {
+    super(`Invalid report ${reportPath}: ${reason}`, { cause, exitCode: EXIT_CODES.USAGE });
+    this.reportPath = reportPath;
+  }
+}
+
+// A W3C WebDriver endpoint answered with an error (or not at all)
+class WebDriverError extends QaError {
+  constructor(message, { error, status, cause } = {}) {
+    super(message, { cause });
+    this.error = error;
+    this.status = status;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  QaError,
+  UsageError,
+  ConfigurationError,
+  DeviceNotFoundError,
+  ReportFormatError,
+  WebDriverError
+};
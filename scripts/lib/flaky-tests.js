@@ -0,0 +1,167 @@
+/**
+ * Flaky Tests
+ * Per-scenario retry policy, passed/flaky/failed classification and the flake ledger: an
+ * append-only JSONL store of scenario outcomes from which the flake rate of each scenario in each
+ * context (device/network or page/breakpoint) over its recent runs is computed. A scenario flaking
+ * above FLAKE_SETTINGS.quarantineRate in a context is quarantined there: it still runs and is
+ * recorded, but its failures in that context no longer fail the job.
+ */
+
+const fs = require('fs').promises;
+const { TEST_CONFIGURATIONS } = require('../../config/browserstack.config');
+
+const DEFAULT_LEDGER_PATH = './flake-ledger.jsonl';
+
+const FLAKE_SETTINGS = {
+  window: 20,           // Most recent runs of a scenario that count towards its flake rate
+  minRuns: 5,           // Runs needed before a scenario can be quarantined
+  quarantineRate: 0.2   // Flake rate at or above which a scenario is quarantined
+};
+
+// --test-configuration/--retries options shared by the scenario runners
+const retryOptions = () => [
+  { name: 'testConfiguration', type: 'string', default: 'functional', choices: Object.keys(TEST_CONFIGURATIONS), description: 'TEST_CONFIGURATIONS entry whose retries apply to failed scenarios' },
+  { name: 'retries', type: 'number', description: 'Retries per failed scenario (default: from --test-configuration)' },
+  { name: 'flakeLedger', type: 'string', default: DEFAULT_LEDGER_PATH, description: 'JSONL flake ledger for flake rates and quarantine' }
+];
+
+// Explicit --retries, else the retries of the test configuration
+const resolveRetries = (config) => config.retries ?? TEST_CONFIGURATIONS[config.testConfiguration]?.retries ?? 0;
+
+// Run a scenario up to 1 + retries times. A pass on the first attempt is 'passed', a pass after
+// a failed attempt 'flaky'; failing every attempt is 'failed' with the last error.
+// An aborted `signal` stops the retries after the current attempt.
+async function runWithRetries(run, { retries = 0, onRetry, signal } = {}) {
+  const attempts = [];
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    const startTime = Date.now();
+    try {
+      const result = await run(attempt);
+      attempts.push({ attempt, status: 'passed', duration: Date.now() - startTime });
+      return { status: attempt === 1 ? 'passed' : 'flaky', result, attempts };
+    } catch (error) {
+      attempts.push({ attempt, status: 'failed', error: error.message, duration: Date.now() - startTime });
+      if (attempt > retries || signal?.aborted) {
+        return { status: 'failed', error, attempts };
+      }
+      if (onRetry) {
+        onRetry(attempt, error);
+      }
+    }
+  }
+
+  return null;
+}
+
+// Read every outcome from the ledger (missing file = empty ledger)
+async function readLedger(ledgerPath = DEFAULT_LEDGER_PATH) {
+  let content;
+  try {
+    content = await fs.readFile(ledgerPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return content
+    .split('\n')
+    .filter(line => line.trim())
+    .reduce((entries, line, index) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`⚠️ Skipping malformed ledger line ${index + 1} in ${ledgerPath}`);
+      }
+      return entries;
+    }, []);
+}
+
+// Append this run's outcomes; never rewrites earlier lines
+async function appendLedger(entries, ledgerPath = DEFAULT_LEDGER_PATH) {
+  if (entries.length > 0) {
+    await fs.appendFile(ledgerPath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  }
+}
+
+// One ledger line per scenario that ran (skipped scenarios are not outcomes)
+function toLedgerEntries(suite, context, tests, runId = process.env.GITHUB_RUN_ID || `local-${new Date().toISOString()}`) {
+  return Object.entries(tests)
+    .filter(([, test]) => ['passed', 'flaky', 'failed'].includes(test.status))
+    .map(([scenario, test]) => ({
+      runId,
+      timestamp: new Date().toISOString(),
+      suite,
+      scenario,
+      context,
+      status: test.status,
+      attempts: test.attempts?.length || 1
+    }));
+}
+
+// Flake rate of every scenario of a suite in every context over its most recent runs, worst first.
+// A scenario that is flaky on one device is not mixed with its stable runs on the others.
+function computeFlakeRates(ledger, suite, settings = FLAKE_SETTINGS) {
+  const byScenario = new Map();
+  ledger
+    .filter(entry => entry.suite === suite)
+    .forEach(entry => {
+      const key = `${entry.scenario}|${entry.context}`;
+      if (!byScenario.has(key)) {
+        byScenario.set(key, []);
+      }
+      byScenario.get(key).push(entry);
+    });
+
+  return [...byScenario.values()]
+    .map(entries => {
+      const recent = entries.slice(-settings.window);
+      const count = (status) => recent.filter(entry => entry.status === status).length;
+      const flakeRate = count('flaky') / recent.length;
+      return {
+        scenario: entries[0].scenario,
+        context: entries[0].context,
+        runs: recent.length,
+        passed: count('passed'),
+        flaky: count('flaky'),
+        failed: count('failed'),
+        flakeRate: Number(flakeRate.toFixed(3)),
+        quarantined: recent.length >= settings.minRuns && flakeRate >= settings.quarantineRate
+      };
+    })
+    .sort((a, b) => b.flakeRate - a.flakeRate);
+}
+
+// Scenario names currently quarantined in one context
+const quarantinedScenarios = (flakeRates, context) => flakeRates
+  .filter(rate => rate.quarantined && rate.context === context)
+  .map(rate => rate.scenario);
+
+// Console table of the scenarios that flaked at least once
+function printFlakeRates(flakeRates) {
+  const flaky = flakeRates.filter(rate => rate.flaky > 0);
+  if (flaky.length === 0) {
+    return;
+  }
+  console.log('\n🎲 Flake rates (recent runs):');
+  flaky.forEach(rate => {
+    const icon = rate.quarantined ? '🚧' : '⚠️';
+    console.log(`  ${icon} ${rate.scenario} [${rate.context}]: ${(rate.flakeRate * 100).toFixed(0)}% (${rate.flaky} flaky of ${rate.runs})${rate.quarantined ? ' - quarantined' : ''}`);
+  });
+}
+
+module.exports = {
+  DEFAULT_LEDGER_PATH,
+  FLAKE_SETTINGS,
+  retryOptions,
+  resolveRetries,
+  runWithRetries,
+  readLedger,
+  appendLedger,
+  toLedgerEntries,
+  computeFlakeRates,
+  quarantinedScenarios,
+  printFlakeRates
+};
@@ -0,0 +1,254 @@
+/**
+ * Layout Checks
+ * Per-breakpoint detection of layout bugs: elements wider than the viewport, clipped text,
+ * overlapping touch targets and content hidden under fixed headers or bottom navigation,
+ * plus the elements behind layout shifts while the page loaded.
+ * Issues use the responsive runner's { type, element, issue, recommendation } shape with CSS selectors.
+ */
+
+const { PERFORMANCE_BASELINES } = require('../../config/mobile-testing.config');
+
+const LAYOUT_LIMITS = {
+  overlapArea: 16,         // px² two interactive elements may share before they count as overlapping
+  maxInteractive: 300,     // Interactive elements compared pairwise for overlap
+  maxElementsPerCheck: 10  // Elements reported per check
+};
+
+// Checks inspectLayout runs; the locale scenario asks for overflow only
+const LAYOUT_CHECKS = ['overflow', 'clipped', 'overlapping', 'hidden'];
+
+// Runs in the page; returns raw findings per check
+function inspectLayout({ overlapArea, maxInteractive, maxElementsPerCheck, checks }) {
+  const viewportWidth = document.documentElement.clientWidth;
+  const viewportHeight = window.innerHeight;
+
+  // Shortest selector that finds the element: #id, [data-testid], or a :nth-of-type path
+  const cssPath = (element) => {
+    const parts = [];
+    for (let node = element; node && node.nodeType === Node.ELEMENT_NODE && node !== document.body; node = node.parentElement) {
+      if (node.id) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const testId = node.getAttribute('data-testid');
+      if (testId) {
+        parts.unshift(`[data-testid="${testId}"]`);
+        break;
+      }
+      const siblings = node.parentElement ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName) : [];
+      const tag = node.tagName.toLowerCase();
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    return parts.join(' > ') || 'body';
+  };
+
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none' && style.opacity !== '0';
+  };
+
+  // Inside a horizontal scroller the overflow is intended (scrollable tables, carousels)
+  const inHorizontalScroller = (element) => {
+    for (let node = element.parentElement; node && node !== document.body; node = node.parentElement) {
+      if (['auto', 'scroll'].includes(window.getComputedStyle(node).overflowX)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const all = Array.from(document.body.querySelectorAll('*')).filter(isVisible);
+
+  // Elements wider than the viewport or reaching past its edges; only the outermost of a nested group
+  const overflowCandidates = !checks.includes('overflow') ? [] : all
+    .filter(element => window.getComputedStyle(element).position !== 'fixed' && !inHorizontalScroller(element))
+    .map(element => ({ element, rect: element.getBoundingClientRect() }))
+    .filter(({ rect }) => rect.width > viewportWidth + 1 || rect.right > viewportWidth + 1 || rect.left < -1);
+  const overflow = overflowCandidates
+    .filter(({ element }) => !overflowCandidates.some(other => other.element !== element && other.element.contains(element)))
+    .slice(0, maxElementsPerCheck)
+    .map(({ element, rect }) => ({
+      selector: cssPath(element),
+      tag: element.tagName.toLowerCase(),
+      width: Math.round(rect.width),
+      left: Math.round(rect.left),
+      right: Math.round(rect.right)
+    }));
+
+  // Text cut off by overflow: hidden (ellipsis truncation is deliberate)
+  const clipped = !checks.includes('clipped') ? [] : all
+    .filter(element => Array.from(element.childNodes).some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim()))
+    .filter(element => {
+      const style = window.getComputedStyle(element);
+      const hidesX = ['hidden', 'clip'].includes(style.overflowX) && style.textOverflow !== 'ellipsis';
+      const hidesY = ['hidden', 'clip'].includes(style.overflowY) && !style.webkitLineClamp?.match(/^\d/);
+      return (hidesX && element.scrollWidth > element.clientWidth + 1) || (hidesY && element.scrollHeight > element.clientHeight + 1);
+    })
+    .slice(0, maxElementsPerCheck)
+    .map(element => ({
+      selector: cssPath(element),
+      text: element.textContent.trim().substring(0, 40),
+      visible: `${element.clientWidth}x${element.clientHeight}`,
+      content: `${element.scrollWidth}x${element.scrollHeight}`
+    }));
+
+  // Interactive elements sharing screen area; the one underneath cannot be tapped there
+  const interactive = all
+    .filter(element => element.matches('a[href], button, input:not([type="hidden"]), select, textarea, [role="button"], [role="link"], [tabindex]:not([tabindex="-1"])'))
+    .slice(0, maxInteractive)
+    .map(element => ({ element, rect: element.getBoundingClientRect() }));
+  const overlapping = [];
+  for (let i = 0; checks.includes('overlapping') && i < interactive.length && overlapping.length < maxElementsPerCheck; i++) {
+    for (let j = i + 1; j < interactive.length && overlapping.length < maxElementsPerCheck; j++) {
+      const a = interactive[i];
+      const b = interactive[j];
+      if (a.element.contains(b.element) || b.element.contains(a.element)) {
+        continue;
+      }
+      const width = Math.min(a.rect.right, b.rect.right) - Math.max(a.rect.left, b.rect.left);
+      const height = Math.min(a.rect.bottom, b.rect.bottom) - Math.max(a.rect.top, b.rect.top);
+      if (width <= 0 || height <= 0 || width * height < overlapArea) {
+        continue;
+      }
+      const x = Math.max(a.rect.left, b.rect.left) + width / 2;
+      const y = Math.max(a.rect.top, b.rect.top) + height / 2;
+      const top = document.elementFromPoint(x, y);
+      const covered = top && (a.element === top || a.element.contains(top)) ? b : a;
+      const covering = covered === a ? b : a;
+      overlapping.push({
+        selector: cssPath(covered.element),
+        coveredBy: cssPath(covering.element),
+        area: Math.round(width * height)
+      });
+    }
+  }
+
+  // Fixed or sticky bars along the top or bottom edge (headers, bottom navigation, cookie banners)
+  const bars = all
+    .filter(element => ['fixed', 'sticky'].includes(window.getComputedStyle(element).position))
+    .map(element => ({ element, rect: element.getBoundingClientRect() }))
+    .filter(({ rect }) => rect.width >= viewportWidth * 0.5 && (rect.top <= 1 || rect.bottom >= viewportHeight - 1))
+    .filter(({ element }, index, list) => !list.some(other => other.element !== element && other.element.contains(element)));
+
+  // Interactive content whose centre is covered by a bar, at the top and at the end of the page
+  const hidden = [];
+  if (checks.includes('hidden') && bars.length > 0) {
+    const scrollY = window.scrollY;
+    const scrollPositions = [0, document.documentElement.scrollHeight - viewportHeight].filter((y, index, list) => y >= 0 && list.indexOf(y) === index);
+    scrollPositions.forEach(y => {
+      window.scrollTo({ top: y, behavior: 'instant' });
+      interactive
+        .filter(({ element }) => !bars.some(bar => bar.element.contains(element)))
+        .forEach(({ element }) => {
+          const rect = element.getBoundingClientRect();
+          const x = rect.left + rect.width / 2;
+          const centerY = rect.top + rect.height / 2;
+          if (x < 0 || x > viewportWidth || centerY < 0 || centerY > viewportHeight) {
+            return;
+          }
+          const top = document.elementFromPoint(x, centerY);
+          const bar = top && bars.find(candidate => candidate.element.contains(top));
+          const selector = cssPath(element);
+          if (bar && hidden.length < maxElementsPerCheck && !hidden.some(item => item.selector === selector)) {
+            hidden.push({ selector, coveredBy: cssPath(bar.element), scrollY: Math.round(y) });
+          }
+        });
+    });
+    window.scrollTo({ top: scrollY, behavior: 'instant' });
+  }
+
+  return {
+    viewport: { width: viewportWidth, height: viewportHeight },
+    scrollWidth: document.documentElement.scrollWidth,
+    fixedBars: bars.map(bar => cssPath(bar.element)),
+    overflow,
+    clipped,
+    overlapping,
+    hidden
+  };
+}
+
+// Turn the raw findings into issues
+function toLayoutIssues(raw) {
+  const issues = [];
+
+  if (raw.scrollWidth > raw.viewport.width + 1 && raw.overflow.length === 0) {
+    issues.push({
+      type: 'layout-overflow',
+      element: 'document',
+      issue: `Page scrolls horizontally: ${raw.scrollWidth}px wide in a ${raw.viewport.width}px viewport`,
+      recommendation: 'Find the element with a fixed width or negative margin and let it shrink'
+    });
+  }
+  raw.overflow.forEach(item => issues.push({
+    type: 'layout-overflow',
+    element: item.selector,
+    issue: `${item.tag} is ${item.width}px wide (spans ${item.left}px to ${item.right}px) in a ${raw.viewport.width}px viewport`,
+    recommendation: item.tag === 'table' ?
+      'Wrap the table in a container with overflow-x: auto or switch to a stacked card layout' :
+      'Use max-width: 100%, flexible widths or wrapping instead of fixed widths'
+  }));
+
+  raw.clipped.forEach(item => issues.push({
+    type: 'clipped-text',
+    element: item.selector,
+    issue: `Text "${item.text}" is clipped: ${item.content}px of content in a ${item.visible}px box`,
+    recommendation: 'Let the box grow with its content, wrap the text or truncate with text-overflow: ellipsis and a title'
+  }));
+
+  raw.overlapping.forEach(item => issues.push({
+    type: 'overlapping-targets',
+    element: item.selector,
+    issue: `Covered by ${item.coveredBy} (${item.area}px² overlap)`,
+    recommendation: 'Give touch targets their own space; at least 8px apart on mobile'
+  }));
+
+  raw.hidden.forEach(item => issues.push({
+    type: 'hidden-under-fixed',
+    element: item.selector,
+    issue: `Hidden under fixed ${item.coveredBy} at scroll position ${item.scrollY}px`,
+    recommendation: 'Pad the content by the height of fixed headers and bottom navigation (scroll-padding, padding-bottom with safe-area-inset-bottom)'
+  }));
+
+  return issues;
+}
+
+// Elements that shifted while the page loaded, when CLS is worse than "good"
+function toLayoutShiftIssues(webVitals, band = PERFORMANCE_BASELINES.coreWebVitals.CLS) {
+  if (webVitals.CLS === null || webVitals.CLS <= band.good) {
+    return [];
+  }
+
+  const sources = webVitals.shiftSources.length > 0 ? webVitals.shiftSources : [{ selector: 'unknown', value: webVitals.CLS }];
+  return sources.map(source => ({
+    type: 'layout-shift',
+    element: source.selector,
+    issue: `Moved during load (shift ${source.value}, page CLS ${webVitals.CLS} > ${band.good})`,
+    recommendation: 'Reserve space for images, ads and late content with width/height or aspect-ratio'
+  }));
+}
+
+// Check the current page for layout issues
+async function checkLayout(driver, { checks = LAYOUT_CHECKS, limits = LAYOUT_LIMITS } = {}) {
+  const raw = await driver.evaluate(inspectLayout, { ...limits, checks });
+  return {
+    fixedBars: raw.fixedBars,
+    scrollWidth: raw.scrollWidth,
+    counts: {
+      overflow: raw.overflow.length,
+      clipped: raw.clipped.length,
+      overlapping: raw.overlapping.length,
+      hidden: raw.hidden.length
+    },
+    issues: toLayoutIssues(raw)
+  };
+}
+
+module.exports = {
+  LAYOUT_LIMITS,
+  LAYOUT_CHECKS,
+  inspectLayout,
+  checkLayout,
+  toLayoutShiftIssues
+};
@@ -0,0 +1,216 @@
+/**
+ * Lighthouse Runner
+ * Runs Lighthouse against a URL with a named network profile from .lighthouserc.json
+ * and reduces several runs to a single median report. INP only exists in timespan mode,
+ * so each run can add a timespan over the scripted interactions from lib/web-vitals.js.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { resolveDevice, toLighthouseScreenEmulation } = require('../../config/device-registry');
+const { ConfigurationError } = require('./errors');
+const { DEFAULT_INTERACTIONS } = require('./web-vitals');
+
+const LIGHTHOUSE_CONFIG_PATH = path.join(__dirname, '..', '..', '.lighthouserc.json');
+
+// .lighthouserc.json networkProfiles keys and the PERFORMANCE_THRESHOLDS network they correspond to
+const PROFILE_NETWORKS = {
+  '4g': '4G',
+  '3g-fast': '3G Fast',
+  '3g-slow': '3G Slow',
+  'edge': 'Edge'
+};
+
+// Audits only a timespan run produces
+const TIMESPAN_AUDITS = ['interaction-to-next-paint'];
+
+// Read .lighthouserc.json and resolve a named network profile plus the collect defaults
+async function loadLighthouseProfile(profileName, configPath = LIGHTHOUSE_CONFIG_PATH) {
+  const lighthouseConfig = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  const profiles = lighthouseConfig.networkProfiles || {};
+  const throttling = profiles[profileName];
+
+  if (!throttling) {
+    throw new ConfigurationError(`Network profile ${profileName} not found in ${path.basename(configPath)} (available: ${Object.keys(profiles).join(', ')})`);
+  }
+
+  const collect = lighthouseConfig.ci?.collect || {};
+
+  return {
+    name: profileName,
+    network: PROFILE_NETWORKS[profileName],
+    throttling,
+    numberOfRuns: collect.numberOfRuns || 1,
+    chromeFlags: collect.settings?.chromeFlags || ''
+  };
+}
+
+// Timespans cannot use simulated throttling; apply the profile through DevTools instead
+const toDevtoolsThrottling = (throttling) => ({
+  requestLatencyMs: throttling.rttMs,
+  downloadThroughputKbps: throttling.throughputKbps,
+  uploadThroughputKbps: throttling.throughputKbps,
+  cpuSlowdownMultiplier: throttling.cpuSlowdownMultiplier
+});
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Puppeteer version of the web-vitals interaction sequence (Lighthouse user flows drive Puppeteer)
+async function runTimespanInteractions(page, interactions = DEFAULT_INTERACTIONS) {
+  for (const step of interactions) {
+    const element = step.selector ? await page.$(step.selector) : null;
+    if (step.selector && !(element && await element.boundingBox())) {
+      continue;
+    }
+
+    if (step.action === 'scroll') {
+      await page.evaluate(y => window.scrollTo({ top: y, behavior: 'instant' }), step.y);
+    } else if (step.action === 'tap') {
+      await element.tap();
+    } else if (step.action === 'type') {
+      await element.tap();
+      await page.keyboard.type(step.text, { delay: 50 });
+    } else if (step.action === 'press') {
+      await page.keyboard.press(step.key);
+    }
+    await pause(300);
+  }
+}
+
+// Load the page, then record a Lighthouse timespan around the interactions
+async function runTimespan(url, port, settings) {
+  const { startTimespan } = await import('lighthouse');
+  const { default: puppeteer } = await import('puppeteer-core');
+
+  const browser = await puppeteer.connect({ browserURL: `http://127.0.0.1:${port}` });
+  const page = await browser.newPage();
+  try {
+    await page.goto(url, { waitUntil: 'networkidle0' });
+    const timespan = await startTimespan(page, {
+      config: {
+        extends: 'lighthouse:default',
+        settings: { ...settings, throttlingMethod: 'devtools', throttling: toDevtoolsThrottling(settings.throttling) }
+      }
+    });
+    await runTimespanInteractions(page);
+    const { lhr } = await timespan.endTimespan();
+    return lhr;
+  } finally {
+    await page.close();
+    browser.disconnect();
+  }
+}
+
+// Run Lighthouse `runs` times against one URL and return every lhr.
+// With `timespan`, each run's INP audit comes from a timespan run after the navigation.
+async function runLighthouse(url, { profile, device, runs, timespan = false }) {
+  // Lighthouse and chrome-launcher are ES modules
+  const { default: lighthouse } = await import('lighthouse');
+  const chromeLauncher = await import('chrome-launcher');
+
+  const deviceConfig = resolveDevice(device);
+  const settings = {
+    formFactor: 'mobile',
+    throttlingMethod: 'simulate',
+    throttling: profile.throttling,
+    screenEmulation: toLighthouseScreenEmulation(deviceConfig.key),
+    emulatedUserAgent: deviceConfig.userAgent
+  };
+
+  const chrome = await chromeLauncher.launch({
+    chromeFlags: ['--headless=new', ...profile.chromeFlags.split(/\s+/).filter(Boolean)]
+  });
+
+  const lhrs = [];
+  try {
+    for (let run = 1; run <= runs; run++) {
+      console.log(`🔦 Lighthouse run ${run}/${runs} (${profile.name}, ${deviceConfig.name})`);
+
+      const result = await lighthouse(url, { port: chrome.port, output: 'json', logLevel: 'error' }, {
+        extends: 'lighthouse:default',
+        settings
+      });
+
+      if (result.lhr.runtimeError) {
+        throw new Error(`Lighthouse run ${run} failed: ${result.lhr.runtimeError.message}`);
+      }
+
+      if (timespan) {
+        const timespanLhr = await runTimespan(url, chrome.port, settings);
+        TIMESPAN_AUDITS.forEach(auditKey => {
+          if (timespanLhr.audits[auditKey]) {
+            result.lhr.audits[auditKey] = timespanLhr.audits[auditKey];
+          }
+        });
+      }
+
+      lhrs.push(result.lhr);
+    }
+  } finally {
+    await chrome.kill();
+  }
+
+  return lhrs;
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const formatMetricValue = (auditKey, value) => {
+  if (auditKey === 'cumulative-layout-shift') return value.toFixed(3);
+  if (auditKey === 'interaction-to-next-paint') return `${Math.round(value)} ms`;
+  return `${(value / 1000).toFixed(1)} s`;
+};
+
+// Combine several runs into one lhr whose metric audits hold the per-metric median.
+// Non-metric audits and categories come from the run with the median performance score.
+function buildMedianReport(lhrs, metricAuditKeys) {
+  if (lhrs.length === 0) {
+    throw new Error('Cannot build a median report from zero Lighthouse runs');
+  }
+
+  const byScore = [...lhrs].sort((a, b) =>
+    (a.categories.performance?.score || 0) - (b.categories.performance?.score || 0));
+  const representative = JSON.parse(JSON.stringify(byScore[Math.floor((byScore.length - 1) / 2)]));
+
+  const runMetrics = lhrs.map(() => ({}));
+
+  metricAuditKeys.forEach(auditKey => {
+    const values = lhrs
+      .map((lhr, index) => {
+        const value = lhr.audits[auditKey]?.numericValue;
+        if (value !== undefined) {
+          runMetrics[index][auditKey] = value;
+        }
+        return value;
+      })
+      .filter(value => value !== undefined);
+
+    const audit = representative.audits[auditKey];
+    if (audit && values.length > 0) {
+      audit.numericValue = median(values);
+      audit.displayValue = formatMetricValue(auditKey, audit.numericValue);
+      audit.medianOf = values.length;
+    }
+  });
+
+  return {
+    lhr: representative,
+    runs: runMetrics.map((metrics, index) => ({
+      run: index + 1,
+      performanceScore: lhrs[index].categories.performance?.score,
+      metrics
+    }))
+  };
+}
+
+module.exports = {
+  PROFILE_NETWORKS,
+  TIMESPAN_AUDITS,
+  loadLighthouseProfile,
+  runLighthouse,
+  buildMedianReport
+};
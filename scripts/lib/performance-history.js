@@ -0,0 +1,144 @@
+/**
+ * Performance History
+ * Append-only JSONL store of validation runs keyed by build id, with rolling-baseline
+ * regression detection and SVG sparklines for the HTML report
+ */
+
+const fs = require('fs').promises;
+
+const DEFAULT_HISTORY_PATH = './performance-history.jsonl';
+
+// Rolling baseline settings for regression detection
+const REGRESSION_SETTINGS = {
+  window: 10,             // Most recent runs that form the baseline
+  minSamples: 5,          // Runs needed before a metric is judged at all
+  zThreshold: 2,          // Standard deviations above the baseline mean
+  minRelativeChange: 0.05 // Ignore shifts under 5% however quiet the baseline is
+};
+
+// Build id for a run: explicit --build, then the CI commit, then a local timestamp
+function resolveBuildId(build) {
+  return build || process.env.GITHUB_SHA || `local-${new Date().toISOString()}`;
+}
+
+// Read every run from the history file (missing file = empty history)
+async function readHistory(historyPath = DEFAULT_HISTORY_PATH) {
+  let content;
+  try {
+    content = await fs.readFile(historyPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return content
+    .split('\n')
+    .filter(line => line.trim())
+    .reduce((entries, line, index) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`⚠️ Skipping malformed history line ${index + 1} in ${historyPath}`);
+      }
+      return entries;
+    }, []);
+}
+
+// Append one run; never rewrites earlier lines
+async function appendHistory(entry, historyPath = DEFAULT_HISTORY_PATH) {
+  await fs.appendFile(historyPath, `${JSON.stringify(entry)}\n`);
+}
+
+// Earlier runs comparable to `current`: same URL and network, other builds, oldest first
+function selectSeries(history, current) {
+  return history.filter(entry =>
+    entry.network === current.network &&
+    entry.url === current.url &&
+    entry.buildId !== current.buildId);
+}
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+// Compare each metric of the current run with the rolling baseline of earlier builds.
+// Every metric is lower-is-better, so only increases are regressions.
+function detectRegressions(history, current, settings = REGRESSION_SETTINGS) {
+  const series = selectSeries(history, current);
+  const regressions = {};
+
+  Object.entries(current.metrics).forEach(([metric, value]) => {
+    const baseline = series
+      .map(entry => entry.metrics?.[metric])
+      .filter(sample => typeof sample === 'number')
+      .slice(-settings.window);
+
+    if (baseline.length < settings.minSamples) {
+      regressions[metric] = { status: 'INSUFFICIENT_DATA', samples: baseline.length };
+      return;
+    }
+
+    const baselineMean = mean(baseline);
+    const deviation = standardDeviation(baseline);
+    const relativeChange = baselineMean > 0 ? (value - baselineMean) / baselineMean : 0;
+    const zScore = deviation > 0 ? (value - baselineMean) / deviation : (value > baselineMean ? Infinity : 0);
+    const regressed = zScore >= settings.zThreshold && relativeChange >= settings.minRelativeChange;
+
+    regressions[metric] = {
+      status: regressed ? 'REGRESSION' : 'STABLE',
+      value,
+      baselineMean,
+      standardDeviation: deviation,
+      zScore: Number.isFinite(zScore) ? Number(zScore.toFixed(2)) : null,
+      relativeChange: Number(relativeChange.toFixed(3)),
+      samples: baseline.length
+    };
+  });
+
+  return regressions;
+}
+
+// Values of one metric across earlier builds plus the current run, oldest first
+function getMetricTrend(history, current, metric, window = REGRESSION_SETTINGS.window * 2) {
+  return [...selectSeries(history, current), current]
+    .map(entry => entry.metrics?.[metric])
+    .filter(value => typeof value === 'number')
+    .slice(-window);
+}
+
+// Inline SVG sparkline; the last point (current run) is marked
+function buildSparkline(values, { width = 160, height = 36, color = '#3b82f6' } = {}) {
+  if (values.length < 2) {
+    return '';
+  }
+
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const padding = 3;
+  const points = values.map((value, index) => [
+    padding + (index / (values.length - 1)) * (width - padding * 2),
+    height - padding - ((value - min) / range) * (height - padding * 2)
+  ]);
+  const [lastX, lastY] = points[points.length - 1];
+
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Trend over ${values.length} runs">` +
+    `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}"/>` +
+    `<circle cx="${lastX.toFixed(1)}" cy="${lastY.toFixed(1)}" r="2.5" fill="${color}"/>` +
+    '</svg>';
+}
+
+module.exports = {
+  DEFAULT_HISTORY_PATH,
+  REGRESSION_SETTINGS,
+  resolveBuildId,
+  readHistory,
+  appendHistory,
+  detectRegressions,
+  getMetricTrend,
+  buildSparkline
+};
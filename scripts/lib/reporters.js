@@ -0,0 +1,245 @@
+/**
+ * Reporters
+ * JUnit XML and SARIF 2.1.0 output for CI dashboards and code-scanning views.
+ * Runners describe their results as test suites or findings; this module only formats and writes them.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ReportFormatError } = require('./errors');
+
+const REPORTER_FORMATS = {
+  junit: { extension: '.junit.xml' },
+  sarif: { extension: '.sarif' }
+};
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// SARIF tool.driver.name is `tms-qa-<command>`, after the tms-qa command that produced the file
+const SARIF_TOOL_PREFIX = 'tms-qa';
+
+// axe-core impact -> SARIF level
+const SARIF_LEVELS = {
+  critical: 'error',
+  serious: 'error',
+  moderate: 'warning',
+  minor: 'note'
+};
+
+// --reporter option for a command that supports the given formats
+const reporterOption = (formats) => ({
+  name: 'reporter',
+  type: 'list',
+  default: [],
+  choices: formats,
+  description: `Extra report formats (${formats.join(', ')}), written next to the JSON results`
+});
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const toSeconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+// suites: [{ name, timestamp, properties, cases: [{ name, classname, duration (ms), failure: { message, details }, skipped }] }]
+function toJUnitXml(suites, name = 'tms-qa') {
+  const count = (cases, predicate) => cases.filter(predicate).length;
+  const allCases = suites.flatMap(suite => suite.cases);
+  const totalTime = toSeconds(allCases.reduce((total, testCase) => total + (testCase.duration || 0), 0));
+
+  const renderCase = (testCase) => {
+    const attributes = `name="${escapeXml(testCase.name)}" classname="${escapeXml(testCase.classname)}" time="${toSeconds(testCase.duration)}"`;
+    if (testCase.failure) {
+      return `    <testcase ${attributes}>\n` +
+        `      <failure message="${escapeXml(testCase.failure.message)}">${escapeXml(testCase.failure.details || testCase.failure.message)}</failure>\n` +
+        '    </testcase>';
+    }
+    if (testCase.skipped) {
+      return `    <testcase ${attributes}>\n      <skipped message="${escapeXml(testCase.skipped)}"/>\n    </testcase>`;
+    }
+    return `    <testcase ${attributes}/>`;
+  };
+
+  const renderSuite = (suite) => {
+    const properties = Object.entries(suite.properties || {});
+    return [
+      `  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" ` +
+        `failures="${count(suite.cases, testCase => testCase.failure)}" errors="0" ` +
+        `skipped="${count(suite.cases, testCase => !testCase.failure && testCase.skipped)}" ` +
+        `time="${toSeconds(suite.cases.reduce((total, testCase) => total + (testCase.duration || 0), 0))}"` +
+        `${suite.timestamp ? ` timestamp="${escapeXml(suite.timestamp)}"` : ''}>`,
+      ...(properties.length > 0 ? [
+        '    <properties>',
+        ...properties.map(([key, value]) => `      <property name="${escapeXml(key)}" value="${escapeXml(value)}"/>`),
+        '    </properties>'
+      ] : []),
+      ...suite.cases.map(renderCase),
+      '  </testsuite>'
+    ].join('\n');
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" tests="${allCases.length}" ` +
+      `failures="${count(allCases, testCase => testCase.failure)}" time="${totalTime}">`,
+    ...suites.map(renderSuite),
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+// --route-sources file: { "<route pattern>": "<repository file>" }, e.g.
+// { "/exchange/orders/[id]/upload": "src/app/(dashboard)/exchange/orders/[id]/upload/page.tsx" }
+async function readRouteSources(filePath) {
+  let routeSources;
+  try {
+    routeSources = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new ReportFormatError(filePath, error.message, error);
+  }
+  if (!routeSources || typeof routeSources !== 'object' || Array.isArray(routeSources) ||
+    Object.values(routeSources).some(file => typeof file !== 'string')) {
+    throw new ReportFormatError(filePath, 'expected an object mapping route patterns to repository files');
+  }
+  return routeSources;
+}
+
+// [id] matches one path segment, [...slug] one or more, [[...slug]] any number
+function matchesRoutePattern(pattern, pathname) {
+  const parts = pattern.split('/').filter(Boolean);
+  const segments = pathname.split('/').filter(Boolean);
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i].startsWith('[[...')) {
+      return true;
+    }
+    if (parts[i].startsWith('[...')) {
+      return segments.length > i;
+    }
+    if (i >= segments.length || (parts[i] !== segments[i] && !/^\[[^\]]+\]$/.test(parts[i]))) {
+      return false;
+    }
+  }
+  return segments.length === parts.length;
+}
+
+// Repository file that renders a page route, from the --route-sources map; null when unmapped.
+// An exact key wins, then the first matching pattern in file order.
+function routeSourceFile(route, routeSources = {}) {
+  const pathname = new URL(route || '/', 'http://localhost').pathname.replace(/(.)\/+$/, '$1');
+  if (routeSources[pathname]) {
+    return routeSources[pathname];
+  }
+  const pattern = Object.keys(routeSources).find(candidate => matchesRoutePattern(candidate, pathname));
+  return pattern ? routeSources[pattern] : null;
+}
+
+// findings: [{ ruleId, level, message, file, line, url, target, properties }]; `file` is the
+// repository path the finding is annotated on (left out when unknown), `url` and `target`
+// (CSS selector) where it was seen
+// rules: [{ id, description, helpUri }]
+function toSarif({ command, informationUri, rules, findings }) {
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: `${SARIF_TOOL_PREFIX}-${command}`,
+          informationUri,
+          rules: rules.map(rule => ({
+            id: rule.id,
+            shortDescription: { text: rule.description },
+            ...(rule.helpUri ? { helpUri: rule.helpUri } : {})
+          }))
+        }
+      },
+      results: findings.map(finding => ({
+        ruleId: finding.ruleId,
+        ruleIndex: rules.findIndex(rule => rule.id === finding.ruleId),
+        level: finding.level,
+        message: { text: finding.message },
+        locations: [{
+          ...(finding.file ? {
+            physicalLocation: {
+              artifactLocation: { uri: finding.file },
+              region: { startLine: finding.line || 1 }
+            }
+          } : {}),
+          logicalLocations: [
+            ...(finding.url ? [{ fullyQualifiedName: finding.url, kind: 'resource' }] : []),
+            ...(finding.target ? [{ fullyQualifiedName: finding.target, kind: 'element' }] : [])
+          ]
+        }],
+        properties: { ...(finding.url ? { url: finding.url } : {}), ...finding.properties }
+      }))
+    }]
+  };
+}
+
+// Findings for every node of every axe-core violation, one per page and CSS target
+function accessibilityFindings(violations, baseUrl, routeSources) {
+  const rules = violations.map(violation => ({
+    id: violation.id,
+    description: violation.help || violation.description || violation.id,
+    helpUri: violation.helpUrl
+  }));
+
+  const findings = violations.flatMap(violation => violation.nodes.map(node => {
+    const target = node.target.join(' ');
+    const page = node.page || (baseUrl ? new URL(baseUrl).pathname : '/');
+    return {
+      ruleId: violation.id,
+      level: SARIF_LEVELS[violation.impact] || 'warning',
+      message: `${violation.help || violation.id}: ${target} on ${page}`,
+      file: routeSourceFile(page, routeSources),
+      url: baseUrl ? new URL(page, baseUrl).href : page,
+      target,
+      properties: {
+        html: node.html,
+        impact: violation.impact,
+        helpUrl: violation.helpUrl,
+        target: node.target,
+        devices: node.devices || [],
+        tags: violation.tags || []
+      }
+    };
+  }));
+
+  return { rules, findings };
+}
+
+// Write the requested formats as <basePath><extension>; builders map a format to a function returning its content
+async function writeReports(formats, basePath, builders) {
+  const written = [];
+  for (const format of formats) {
+    const content = builders[format]();
+    const filePath = `${basePath}${REPORTER_FORMATS[format].extension}`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+    console.log(`📝 ${format} report saved to: ${filePath}`);
+    written.push(filePath);
+  }
+  return written;
+}
+
+// ./performance-validation-report.json -> ./performance-validation-report
+const reportBasePath = (outputPath) => outputPath.replace(/\.(json|html)$/, '');
+
+module.exports = {
+  REPORTER_FORMATS,
+  SARIF_LEVELS,
+  escapeXml,
+  reporterOption,
+  toJUnitXml,
+  toSarif,
+  readRouteSources,
+  routeSourceFile,
+  accessibilityFindings,
+  writeReports,
+  reportBasePath
+};
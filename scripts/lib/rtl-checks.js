@@ -0,0 +1,247 @@
+/**
+ * Locale and RTL Checks
+ * Browser context settings for LOCALE_PROFILES and in-page checks for mirrored-layout bugs:
+ * document direction, icons that stay anchored to the left, form labels
+ * aligned to the wrong edge, and numerals in amount fields.
+ * Every check returns issues in the responsive runner's { type, element, issue, recommendation } shape.
+ * Horizontal overflow is reported by layout-checks, so an element is not reported twice.
+ */
+
+const { LOCALE_PROFILES } = require('../../config/mobile-testing.config');
+const { ConfigurationError } = require('./errors');
+const { checkLayout } = require('./layout-checks');
+
+// Elements that hold money amounts
+const AMOUNT_SELECTORS = '#amount, input[name*="amount" i], [data-amount], .amount';
+
+// Icons whose meaning depends on reading direction and have to be mirrored in RTL
+const DIRECTIONAL_ICON_PATTERN = 'arrow|chevron|caret|back|forward|next|prev|previous';
+
+// Elements reported per check, so one broken component does not flood the issues list
+const MAX_ELEMENTS_PER_CHECK = 10;
+
+const resolveLocaleProfile = (name) => {
+  const profile = LOCALE_PROFILES[name];
+  if (!profile) {
+    throw new ConfigurationError(`Locale ${name} not found in LOCALE_PROFILES (available: ${Object.keys(LOCALE_PROFILES).join(', ')})`);
+  }
+  return { key: name, ...profile };
+};
+
+// Playwright browser.newContext() options for a locale profile
+const toLocaleContextOptions = (profile) => ({
+  locale: profile.locale,
+  timezoneId: profile.timezone,
+  extraHTTPHeaders: { 'Accept-Language': `${profile.locale},${profile.language};q=0.9` }
+});
+
+// Runs in the page; returns raw findings per check
+function inspectLocaleLayout({ direction, language, amountNumerals, amountSelectors, iconPattern, maxElements }) {
+  const rtl = direction === 'rtl';
+  const iconRegExp = new RegExp(iconPattern, 'i');
+  const arabicDigits = /[٠-٩۰-۹]/;
+  const latinDigits = /[0-9]/;
+
+  const describe = (element) => {
+    const id = element.id ? `#${element.id}` : '';
+    const className = typeof element.className === 'string' && element.className.trim() ?
+      `.${element.className.trim().split(/\s+/).slice(0, 2).join('.')}` : '';
+    return `${element.tagName.toLowerCase()}${id}${className}`;
+  };
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+  };
+
+  const html = document.documentElement;
+  const documentDirection = {
+    dirAttribute: html.getAttribute('dir'),
+    computed: window.getComputedStyle(html).direction,
+    lang: html.getAttribute('lang')
+  };
+
+  const icons = Array.from(document.querySelectorAll('svg, i, [class*="icon" i], [data-icon]'))
+    .filter(isVisible)
+    .filter(element => element.getBoundingClientRect().width <= 48);
+
+  // Directional icons have to be flipped in RTL (scaleX(-1) shows up as a negative matrix a)
+  const unmirroredIcons = rtl ? icons
+    .filter(icon => iconRegExp.test([
+      icon.getAttribute('class'), icon.getAttribute('data-icon'), icon.getAttribute('aria-label'), icon.getAttribute('name')
+    ].filter(Boolean).join(' ')))
+    .filter(icon => {
+      const transform = window.getComputedStyle(icon).transform;
+      const match = transform.match(/^matrix\(([-\d.e]+)/);
+      return !(match && Number(match[1]) < 0);
+    })
+    .slice(0, maxElements)
+    .map(icon => ({ element: describe(icon) })) : [];
+
+  // A leading icon (first child) should sit on the reading-start side: on the right in RTL
+  const leftAnchoredIcons = rtl ? icons
+    .filter(icon => !icon.previousElementSibling && icon.parentElement)
+    .filter(icon => {
+      const iconRect = icon.getBoundingClientRect();
+      if (window.getComputedStyle(icon).position === 'absolute') {
+        const parentRect = icon.parentElement.getBoundingClientRect();
+        return iconRect.left + iconRect.width / 2 < parentRect.left + parentRect.width / 2;
+      }
+      const next = icon.nextElementSibling;
+      if (!next || !isVisible(next)) {
+        return false;
+      }
+      const nextRect = next.getBoundingClientRect();
+      return Math.abs(iconRect.top - nextRect.top) < iconRect.height && iconRect.right <= nextRect.left + 1;
+    })
+    .slice(0, maxElements)
+    .map(icon => ({ element: describe(icon), parent: describe(icon.parentElement) })) : [];
+
+  // Labels should line up with the reading-start edge of their field
+  const misalignedLabels = Array.from(document.querySelectorAll('label'))
+    .filter(isVisible)
+    .map(label => ({ label, field: label.control }))
+    .filter(({ field }) => field && isVisible(field) && !['checkbox', 'radio'].includes(field.type))
+    .map(({ label, field }) => {
+      const labelRect = label.getBoundingClientRect();
+      const fieldRect = field.getBoundingClientRect();
+      const textAlign = window.getComputedStyle(label).textAlign;
+      const stacked = labelRect.bottom <= fieldRect.top + 2;
+      let problem = null;
+
+      if (rtl && (textAlign === 'left' || textAlign === '-webkit-left')) {
+        problem = 'text-align: left';
+      } else if (stacked && rtl && fieldRect.right - labelRect.right > 4 && labelRect.width < fieldRect.width) {
+        problem = `label ends ${Math.round(fieldRect.right - labelRect.right)}px short of the field's right edge`;
+      } else if (!stacked && rtl && labelRect.right <= fieldRect.left + 1) {
+        problem = 'label is left of its field';
+      } else if (!stacked && !rtl && labelRect.left >= fieldRect.right - 1) {
+        problem = 'label is right of its field';
+      }
+      return problem ? { element: describe(label), field: describe(field), problem } : null;
+    })
+    .filter(Boolean)
+    .slice(0, maxElements);
+
+  // Amounts: expected numeral system, no mixing, and always laid out left-to-right
+  const amounts = Array.from(document.querySelectorAll(amountSelectors))
+    .filter(isVisible)
+    .map(element => {
+      const text = (element.matches('input, textarea') ? element.value || element.placeholder : element.textContent || '').trim();
+      const problems = [];
+      if (arabicDigits.test(text) && latinDigits.test(text)) {
+        problems.push(`mixes Arabic-Indic and Latin digits ("${text}")`);
+      } else if (amountNumerals === 'latn' && arabicDigits.test(text)) {
+        problems.push(`uses Arabic-Indic digits ("${text}")`);
+      } else if (amountNumerals === 'arab' && latinDigits.test(text)) {
+        problems.push(`uses Latin digits ("${text}")`);
+      }
+      if (rtl && window.getComputedStyle(element).direction === 'rtl' && element.matches('input, textarea')) {
+        problems.push('amount input is direction: rtl, so signs and decimals are reordered');
+      }
+      return problems.length > 0 ? { element: describe(element), problems } : null;
+    })
+    .filter(Boolean)
+    .slice(0, maxElements);
+
+  return { language, documentDirection, unmirroredIcons, leftAnchoredIcons, misalignedLabels, amounts };
+}
+
+// Turn the raw findings into issues
+function toLocaleIssues(raw, profile) {
+  const issues = [];
+
+  // LTR is the default, so only RTL locales need the dir attribute itself
+  const directionWrong = raw.documentDirection.computed !== profile.direction ||
+    (profile.direction === 'rtl' && raw.documentDirection.dirAttribute !== 'rtl');
+  if (directionWrong) {
+    issues.push({
+      type: 'locale-direction',
+      element: 'html',
+      issue: `Document is dir="${raw.documentDirection.dirAttribute || 'unset'}" (computed ${raw.documentDirection.computed}) for ${profile.locale}`,
+      recommendation: `Render <html dir="${profile.direction}"> for ${profile.locale}`
+    });
+  }
+  if (!raw.documentDirection.lang || !raw.documentDirection.lang.toLowerCase().startsWith(profile.language)) {
+    issues.push({
+      type: 'locale-lang',
+      element: 'html',
+      issue: `Document lang is "${raw.documentDirection.lang || 'unset'}" for ${profile.locale}`,
+      recommendation: `Set <html lang="${profile.locale}">`
+    });
+  }
+
+  raw.unmirroredIcons.forEach(icon => issues.push({
+    type: 'rtl-icon-mirroring',
+    element: icon.element,
+    issue: 'Directional icon is not mirrored in RTL',
+    recommendation: 'Flip directional icons with transform: scaleX(-1) under [dir="rtl"]'
+  }));
+
+  raw.leftAnchoredIcons.forEach(icon => issues.push({
+    type: 'rtl-icon-anchor',
+    element: icon.element,
+    issue: `Leading icon in ${icon.parent} is anchored to the left in RTL`,
+    recommendation: 'Position icons with inset-inline-start / margin-inline-end instead of left / margin-right'
+  }));
+
+  raw.misalignedLabels.forEach(label => issues.push({
+    type: 'rtl-label-alignment',
+    element: label.element,
+    issue: `Label for ${label.field} is misaligned: ${label.problem}`,
+    recommendation: 'Use text-align: start and logical properties so labels follow the reading direction'
+  }));
+
+  raw.amounts.forEach(amount => amount.problems.forEach(problem => issues.push({
+    type: 'amount-numerals',
+    element: amount.element,
+    issue: `Amount field ${problem}`,
+    recommendation: `Format amounts with ${profile.amountNumerals === 'latn' ? 'Latin' : 'Arabic-Indic'} digits (Intl.NumberFormat numberingSystem: '${profile.amountNumerals}') and give amount inputs dir="ltr"`
+  })));
+
+  return issues;
+}
+
+// Check the current page against a locale profile; `overflow: false` leaves horizontal overflow to
+// a layout check that already runs on the page
+async function checkLocaleLayout(driver, profile, { overflow = true } = {}) {
+  const raw = await driver.evaluate(inspectLocaleLayout, {
+    direction: profile.direction,
+    language: profile.language,
+    amountNumerals: profile.amountNumerals,
+    amountSelectors: AMOUNT_SELECTORS,
+    iconPattern: DIRECTIONAL_ICON_PATTERN,
+    maxElements: MAX_ELEMENTS_PER_CHECK
+  });
+
+  const layout = overflow ? await checkLayout(driver, { checks: ['overflow'] }) : null;
+
+  return {
+    locale: profile.locale,
+    direction: raw.documentDirection,
+    ...(layout ? { overflowingElements: layout.counts.overflow } : {}),
+    validation: { issues: [...toLocaleIssues(raw, profile), ...(layout ? layout.issues : [])] }
+  };
+}
+
+// locale_layout scenario shared by the device and responsive runners; `url` and `localeProfile`
+// come from the run, `overflow` is false where layout_adaptation already checks overflow.
+// Problems are returned in validation.issues like the other layout checks.
+const LOCALE_TEST_SCENARIO = {
+  name: 'locale_layout',
+  description: 'Test document direction, mirrored layout and amount numerals for the locale',
+  requires: ['navigate', 'evaluate'],
+  test: async (driver, { url, localeProfile, overflow = true }) => {
+    await driver.navigate(url, { waitUntil: 'networkidle' });
+    return checkLocaleLayout(driver, localeProfile, { overflow });
+  }
+};
+
+module.exports = {
+  AMOUNT_SELECTORS,
+  LOCALE_TEST_SCENARIO,
+  resolveLocaleProfile,
+  toLocaleContextOptions,
+  inspectLocaleLayout,
+  checkLocaleLayout
+};
@@ -0,0 +1,140 @@
+/**
+ * Visual Diff
+ * Compares screenshots against approved baselines with pixelmatch, blanking out
+ * dynamic regions (timestamps, order IDs) and writing diff images for review
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// pngjs is loaded on the first comparison, so runners that only read the defaults do not need it
+const loadPng = () => require('pngjs').PNG;
+
+const VISUAL_DIFF_DEFAULTS = {
+  baselineDir: './visual-baselines',
+  diffDir: './visual-diffs',
+  threshold: 0.1,         // pixelmatch per-pixel colour tolerance (0-1)
+  maxDiffRatio: 0.001,    // Share of pixels allowed to differ before the comparison fails
+  updateBaselines: false  // Approve the current screenshots as the new baselines
+};
+
+// Content that changes on every load and is blanked out before comparing
+const DEFAULT_IGNORE_SELECTORS = [
+  '[data-visual-ignore]',
+  '[data-testid="timestamp"]',
+  '[data-testid="order-id"]',
+  'time'
+];
+
+const IGNORE_FILL = [255, 0, 255, 255];
+
+// Bounding boxes of the ignored elements in screenshot pixels (full-page, device pixel ratio applied)
+async function getIgnoreRegions(driver, selectors = DEFAULT_IGNORE_SELECTORS) {
+  return driver.evaluate((selectorList) => {
+    const ratio = window.devicePixelRatio || 1;
+    return Array.from(document.querySelectorAll(selectorList.join(',')))
+      .map(element => element.getBoundingClientRect())
+      .filter(rect => rect.width > 0 && rect.height > 0)
+      .map(rect => ({
+        x: Math.floor((rect.left + window.scrollX) * ratio),
+        y: Math.floor((rect.top + window.scrollY) * ratio),
+        width: Math.ceil(rect.width * ratio),
+        height: Math.ceil(rect.height * ratio)
+      }));
+  }, selectors);
+}
+
+// Take a screenshot and record where its dynamic content is
+async function captureScreenshot(driver, filePath, { fullPage = true, ignoreSelectors } = {}) {
+  const ignoreRegions = await getIgnoreRegions(driver, ignoreSelectors);
+  await driver.screenshot({ path: filePath, fullPage });
+  return ignoreRegions;
+}
+
+const readPng = async (filePath) => loadPng().sync.read(await fs.readFile(filePath));
+
+// Copy an image onto a transparent canvas of the given size so mismatched sizes can still be diffed
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+  const PNG = loadPng();
+  const padded = new PNG({ width, height });
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+function fillRegions(image, regions) {
+  regions.forEach(({ x, y, width, height }) => {
+    for (let row = Math.max(0, y); row < Math.min(image.height, y + height); row++) {
+      for (let column = Math.max(0, x); column < Math.min(image.width, x + width); column++) {
+        image.data.set(IGNORE_FILL, (row * image.width + column) * 4);
+      }
+    }
+  });
+}
+
+// Compare one screenshot with its baseline `<baselineDir>/<name>.png`.
+// Status: PASS, FAIL, NEW (no baseline yet) or UPDATED (baseline replaced by --update-baselines).
+async function compareScreenshot({ name, actualPath, ignoreRegions = [] }, options = {}) {
+  const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const settings = { ...VISUAL_DIFF_DEFAULTS, ...overrides };
+  const baselinePath = path.join(settings.baselineDir, `${name}.png`);
+  const result = { name, baseline: baselinePath, actual: actualPath, diff: null, ignoredRegions: ignoreRegions.length };
+
+  const baselineExists = await fs.access(baselinePath).then(() => true, () => false);
+
+  if (settings.updateBaselines || !baselineExists) {
+    if (settings.updateBaselines) {
+      await fs.mkdir(settings.baselineDir, { recursive: true });
+      await fs.copyFile(actualPath, baselinePath);
+    }
+    return { ...result, status: settings.updateBaselines ? 'UPDATED' : 'NEW' };
+  }
+
+  // pixelmatch is published as an ES module
+  const { default: pixelmatch } = await import('pixelmatch');
+  const PNG = loadPng();
+
+  const [baselineImage, actualImage] = await Promise.all([readPng(baselinePath), readPng(actualPath)]);
+  const width = Math.max(baselineImage.width, actualImage.width);
+  const height = Math.max(baselineImage.height, actualImage.height);
+  const sizeMismatch = baselineImage.width !== actualImage.width || baselineImage.height !== actualImage.height;
+
+  const expected = padImage(baselineImage, width, height);
+  const actual = padImage(actualImage, width, height);
+  fillRegions(expected, ignoreRegions);
+  fillRegions(actual, ignoreRegions);
+
+  const diffImage = new PNG({ width, height });
+  const diffPixels = pixelmatch(expected.data, actual.data, diffImage.data, width, height, {
+    threshold: settings.threshold,
+    includeAA: false
+  });
+  const diffRatio = diffPixels / (width * height);
+
+  if (diffPixels > 0) {
+    await fs.mkdir(settings.diffDir, { recursive: true });
+    result.diff = path.join(settings.diffDir, `${name}-diff.png`);
+    await fs.writeFile(result.diff, PNG.sync.write(diffImage));
+  }
+
+  return {
+    ...result,
+    status: sizeMismatch || diffRatio > settings.maxDiffRatio ? 'FAIL' : 'PASS',
+    sizeMismatch: sizeMismatch ? {
+      baseline: { width: baselineImage.width, height: baselineImage.height },
+      actual: { width: actualImage.width, height: actualImage.height }
+    } : null,
+    diffPixels,
+    diffRatio: Number(diffRatio.toFixed(5))
+  };
+}
+
+module.exports = {
+  VISUAL_DIFF_DEFAULTS,
+  DEFAULT_IGNORE_SELECTORS,
+  getIgnoreRegions,
+  captureScreenshot,
+  compareScreenshot
+};
@@ -0,0 +1,241 @@
+/**
+ * Web Vitals Collector
+ * Field-style LCP, CLS, INP and long-task measurement through a test driver (scripts/lib/drivers.js).
+ * The observers are injected before navigation, a scripted interaction sequence gives INP
+ * something to measure, and the results are rated against PERFORMANCE_BASELINES.coreWebVitals.
+ */
+
+const { PERFORMANCE_BASELINES } = require('../../config/mobile-testing.config');
+
+// Interactions run after load; steps whose element is missing are skipped.
+// Taps only explicit type="button" buttons and role="button" widgets: a <button> without a type
+// submits its form, and links navigate, either of which would leave the page under test.
+const DEFAULT_INTERACTIONS = [
+  { action: 'scroll', y: 800 },
+  { action: 'tap', selector: 'button[type="button"]:not([disabled]), [role="button"]:not([href]):not([aria-disabled="true"])' },
+  { action: 'type', selector: 'input[type="text"], input[type="search"], input:not([type]), textarea', text: 'tms' },
+  { action: 'press', key: 'Tab' },
+  { action: 'scroll', y: 0 },
+  { action: 'tap', selector: 'main, body' }
+];
+
+// Runs in the page before any of its scripts (driver.addInitScript), so buffered entries are not missed
+function observeWebVitals() {
+  if (window.__tmsWebVitals) {
+    return;
+  }
+
+  const vitals = {
+    lcp: null,
+    lcpElement: null,
+    cls: 0,
+    longTasks: [],
+    interactions: {},
+    shiftSources: {},
+    unsupported: []
+  };
+  window.__tmsWebVitals = vitals;
+
+  // CLS: largest session window (shifts < 1s apart, window < 5s), ignoring shifts right after input
+  let sessionValue = 0;
+  let sessionStart = 0;
+  let lastShift = 0;
+
+  // #id, or tag.class under the nearest ancestor with an id
+  const describeNode = (node) => {
+    const own = node.id ? `#${node.id}` : [node.tagName.toLowerCase(), ...Array.from(node.classList).slice(0, 2)].join('.');
+    const anchor = node.id ? null : node.parentElement && node.parentElement.closest('[id]');
+    return anchor ? `#${anchor.id} ${own}` : own;
+  };
+
+  const handlers = {
+    'largest-contentful-paint': (entry) => {
+      vitals.lcp = entry.startTime;
+      vitals.lcpElement = entry.element ? entry.element.tagName.toLowerCase() : null;
+    },
+    'layout-shift': (entry) => {
+      if (entry.hadRecentInput) {
+        return;
+      }
+      if (sessionValue > 0 && entry.startTime - lastShift < 1000 && entry.startTime - sessionStart < 5000) {
+        sessionValue += entry.value;
+      } else {
+        sessionValue = entry.value;
+        sessionStart = entry.startTime;
+      }
+      lastShift = entry.startTime;
+      vitals.cls = Math.max(vitals.cls, sessionValue);
+
+      // Attribute the shift to the elements that moved; a shift with several sources counts for each
+      (entry.sources || [])
+        .filter(source => source.node && source.node.nodeType === Node.ELEMENT_NODE)
+        .forEach(source => {
+          const selector = describeNode(source.node);
+          vitals.shiftSources[selector] = (vitals.shiftSources[selector] || 0) + entry.value;
+        });
+    },
+    // INP: longest event of each interaction; the percentile is taken when the results are read
+    event: (entry) => {
+      if (!entry.interactionId) {
+        return;
+      }
+      const previous = vitals.interactions[entry.interactionId];
+      if (!previous || entry.duration > previous.duration) {
+        vitals.interactions[entry.interactionId] = { name: entry.name, duration: entry.duration, startTime: entry.startTime };
+      }
+    },
+    longtask: (entry) => {
+      vitals.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+    }
+  };
+  handlers['first-input'] = handlers.event;
+
+  const observers = [];
+  Object.entries(handlers).forEach(([type, handle]) => {
+    try {
+      const observer = new PerformanceObserver(list => list.getEntries().forEach(handle));
+      observer.observe({ type, buffered: true, ...(type === 'event' ? { durationThreshold: 16 } : {}) });
+      observers.push({ type, observer });
+    } catch (error) {
+      vitals.unsupported.push(type);
+    }
+  });
+
+  // Entries still queued in the observers are delivered before the results are read
+  vitals.flush = () => observers.forEach(({ type, observer }) => observer.takeRecords().forEach(handlers[type]));
+}
+
+// Inject the observers; call before driver.navigate()
+async function installWebVitals(driver) {
+  await driver.addInitScript(observeWebVitals);
+}
+
+// Drive the page through the interaction sequence so INP and post-load CLS have data
+async function runInteractions(driver, interactions = DEFAULT_INTERACTIONS) {
+  const results = [];
+
+  for (const step of interactions) {
+    if (step.selector && !(await driver.isVisible(step.selector).catch(() => false))) {
+      results.push({ ...step, status: 'skipped' });
+      continue;
+    }
+
+    try {
+      switch (step.action) {
+        case 'scroll':
+          await driver.evaluate(y => window.scrollTo({ top: y, behavior: 'instant' }), step.y);
+          break;
+        case 'tap':
+          await driver.tap(step.selector, { timeout: 2000 });
+          break;
+        case 'type':
+          await driver.tap(step.selector, { timeout: 2000 });
+          await driver.type(step.text);
+          break;
+        case 'press':
+          await driver.press(step.key);
+          break;
+        default:
+          throw new Error(`Unknown interaction: ${step.action}`);
+      }
+      results.push({ ...step, status: 'done' });
+    } catch (error) {
+      results.push({ ...step, status: 'failed', error: error.message });
+    }
+
+    // Let the next frame paint so the interaction's event timing entry is complete
+    await driver.wait(300);
+  }
+
+  return results;
+}
+
+// INP as Chrome reports it: the worst interaction, ignoring one outlier per 50 interactions
+function computeInp(interactions) {
+  const durations = interactions.map(interaction => interaction.duration).sort((a, b) => b - a);
+  if (durations.length === 0) {
+    return null;
+  }
+  return durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+}
+
+// Read the collected metrics from the page
+async function collectWebVitals(driver) {
+  const raw = await driver.evaluate(() => {
+    const vitals = window.__tmsWebVitals;
+    if (!vitals) {
+      return null;
+    }
+    vitals.flush();
+    const navigation = performance.getEntriesByType('navigation')[0];
+    const fcp = performance.getEntriesByName('first-contentful-paint')[0];
+    return {
+      lcp: vitals.lcp,
+      lcpElement: vitals.lcpElement,
+      cls: vitals.cls,
+      shiftSources: vitals.shiftSources,
+      longTasks: vitals.longTasks,
+      interactions: Object.values(vitals.interactions),
+      unsupported: vitals.unsupported,
+      fcp: fcp ? fcp.startTime : null,
+      ttfb: navigation ? navigation.responseStart - navigation.startTime : null
+    };
+  });
+
+  if (!raw) {
+    throw new Error('Web Vitals observers are not installed; call installWebVitals() before navigating');
+  }
+
+  // Total blocking time after FCP, the lab proxy for main-thread availability
+  const blockingTime = raw.longTasks
+    .filter(task => raw.fcp === null || task.startTime >= raw.fcp)
+    .reduce((total, task) => total + Math.max(0, task.duration - 50), 0);
+
+  return {
+    LCP: raw.lcp === null ? null : Math.round(raw.lcp),
+    CLS: Number(raw.cls.toFixed(3)),
+    INP: computeInp(raw.interactions),
+    TBT: Math.round(blockingTime),
+    FCP: raw.fcp === null ? null : Math.round(raw.fcp),
+    TTFB: raw.ttfb === null ? null : Math.round(raw.ttfb),
+    lcpElement: raw.lcpElement,
+    // Elements that moved the most, largest first
+    shiftSources: Object.entries(raw.shiftSources)
+      .map(([selector, value]) => ({ selector, value: Number(value.toFixed(4)) }))
+      .sort((a, b) => b.value - a.value)
+      .slice(0, 10),
+    longTasks: raw.longTasks.length,
+    interactions: raw.interactions.length,
+    unsupported: raw.unsupported
+  };
+}
+
+// good / needs-improvement / poor for every metric that has a band
+function rateWebVitals(metrics, bands = PERFORMANCE_BASELINES.coreWebVitals) {
+  return Object.fromEntries(Object.entries(bands)
+    .filter(([metric]) => metric in metrics)
+    .map(([metric, band]) => {
+      const value = metrics[metric];
+      let rating = 'not-measured';
+      if (value !== null && value !== undefined) {
+        if (value <= band.good) {
+          rating = 'good';
+        } else if (value <= band.needsImprovement) {
+          rating = 'needs-improvement';
+        } else {
+          rating = 'poor';
+        }
+      }
+      return [metric, { value, rating, good: band.good, needsImprovement: band.needsImprovement }];
+    }));
+}
+
+module.exports = {
+  DEFAULT_INTERACTIONS,
+  observeWebVitals,
+  installWebVitals,
+  runInteractions,
+  collectWebVitals,
+  computeInp,
+  rateWebVitals
+};
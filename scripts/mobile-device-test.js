@@ -5,47 +5,112 @@
  * Validates performance, functionality, and mobile-specific features
  */
 
-const { chromium } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
 const { performance } = require('perf_hooks');
+const { NETWORK_CONDITIONS, PROCESSOR_TIERS, LOCALE_PROFILES } = require('../config/mobile-testing.config');
+const { resolveDevice } = require('../config/device-registry');
+const { VISUAL_DIFF_DEFAULTS, captureScreenshot, compareScreenshot } = require('./lib/visual-diff');
+const { RUN_STATUS, runCli } = require('./lib/cli');
+const { ConfigurationError } = require('./lib/errors');
+const { reporterOption, toJUnitXml, writeReports } = require('./lib/reporters');
+const { installWebVitals, runInteractions, collectWebVitals, rateWebVitals } = require('./lib/web-vitals');
+const { resolveLocaleProfile, toLocaleContextOptions, LOCALE_TEST_SCENARIO } = require('./lib/rtl-checks');
+const { applyThrottling, createPlaywrightDriver, skipReason } = require('./lib/drivers');
+const {
+  retryOptions,
+  resolveRetries,
+  runWithRetries,
+  readLedger,
+  appendLedger,
+  toLedgerEntries,
+  computeFlakeRates,
+  quarantinedScenarios,
+  printFlakeRates
+} = require('./lib/flaky-tests');
 
-// Parse command line arguments
-function parseArguments() {
-  const args = process.argv.slice(2);
-  const config = {
-    device: 'iPhone 12',
-    width: 390,
-    height: 844,
-    pixelRatio: 3,
-    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_0 like Mac OS X) AppleWebKit/605.1.15',
-    url: 'http://localhost:3000',
-    outputDir: './mobile-test-results',
-    screenshotDir: './screenshots'
+// Command-line options (see scripts/lib/cli.js)
+const MOBILE_DEVICE_COMMAND = {
+  name: 'device',
+  description: 'Run the mobile test scenarios on one registry device, optionally throttled',
+  options: [
+    { name: 'device', type: 'string', default: 'iPhone_12', description: 'Device registry key or display name' },
+    { name: 'url', type: 'string', default: 'http://localhost:3000', description: 'Application URL' },
+    { name: 'network', type: 'string', description: `NETWORK_CONDITIONS profile to throttle to (${Object.keys(NETWORK_CONDITIONS).join(', ')})` },
+    { name: 'processorTier', type: 'string', choices: Object.keys(PROCESSOR_TIERS), description: 'CPU tier for throttling (default: from the registry)' },
+    { name: 'width', type: 'number', description: 'Viewport width override' },
+    { name: 'height', type: 'number', description: 'Viewport height override' },
+    { name: 'pixelRatio', type: 'number', description: 'Device pixel ratio override' },
+    { name: 'userAgent', type: 'string', description: 'User agent override' },
+    { name: 'locale', type: 'string', choices: Object.keys(LOCALE_PROFILES), description: 'Browser locale and timezone from LOCALE_PROFILES; adds the locale_layout scenario' },
+    { name: 'outputDir', type: 'string', default: './mobile-test-results', description: 'Results directory' },
+    { name: 'screenshotDir', type: 'string', default: './screenshots', description: 'Screenshot directory' },
+    { name: 'baselineDir', type: 'string', default: VISUAL_DIFF_DEFAULTS.baselineDir, description: 'Approved screenshot baselines' },
+    { name: 'diffDir', type: 'string', default: VISUAL_DIFF_DEFAULTS.diffDir, description: 'Where diff images are written' },
+    { name: 'updateBaselines', type: 'boolean', default: false, description: 'Approve the current screenshots as baselines' },
+    ...retryOptions(),
+    reporterOption(['junit'])
+  ]
+};
+
+// Fill the device fields from the registry; explicit --width/--height/--pixelRatio/--userAgent still win
+function resolveDeviceConfig(config) {
+  const device = resolveDevice(config.device);
+  const overrides = Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+
+  return {
+    width: device.width,
+    height: device.height,
+    pixelRatio: device.pixelRatio,
+    userAgent: device.userAgent,
+    processorTier: device.processorTier,
+    ...overrides,
+    device: device.name,
+    deviceKey: device.key
   };
+}
 
-  for (let i = 0; i < args.length; i += 2) {
-    const key = args[i].replace('--', '');
-    const value = args[i + 1];
-    
-    if (key === 'width' || key === 'height' || key === 'pixelRatio') {
-      config[key] = parseInt(value);
-    } else {
-      config[key] = value;
-    }
+// Resolve the --network profile and the device's processor tier into CDP throttling settings
+function resolveThrottling(config) {
+  if (!config.network) {
+    return null;
+  }
+
+  const networkName = config.network.replace(/\s+/g, '_');
+  const conditions = NETWORK_CONDITIONS[networkName];
+  if (!conditions) {
+    throw new ConfigurationError(`Network ${config.network} not found in NETWORK_CONDITIONS (available: ${Object.keys(NETWORK_CONDITIONS).join(', ')})`);
+  }
+
+  const processorTier = config.processorTier || 'medium';
+  const tier = PROCESSOR_TIERS[processorTier];
+  if (!tier) {
+    throw new ConfigurationError(`Processor tier ${processorTier} not found in PROCESSOR_TIERS`);
   }
 
-  return config;
+  return {
+    network: networkName,
+    conditions,
+    processorTier,
+    cpuSlowdownMultiplier: tier.cpuSlowdownMultiplier
+  };
 }
 
-// Mobile-specific test scenarios
+// Flake ledger context of a device run: registry key and network profile
+const deviceContext = (config) => `${config.deviceKey || config.device}/${config.network ? config.network.replace(/\s+/g, '_') : 'unthrottled'}`;
+
+// Mobile-specific test scenarios; `requires` lists the driver capabilities each one needs (scripts/lib/drivers.js)
 const MOBILE_TEST_SCENARIOS = [
   {
     name: 'viewport_adaptation',
     description: 'Test viewport and responsive design adaptation',
-    test: async (page, config) => {
+    requires: ['navigate', 'viewport', 'evaluate', 'screenshot'],
+    test: async (driver, config) => {
       const results = [];
       
+      // This scenario runs first, on a fresh page
+      await driver.navigate(config.url, { waitUntil: 'networkidle' });
+      
       // Test different orientations
       const orientations = [
         { width: config.width, height: config.height, orientation: 'portrait' },
@@ -53,30 +118,42 @@ const MOBILE_TEST_SCENARIOS = [
       ];
       
       for (const orientation of orientations) {
-        await page.setViewportSize({ width: orientation.width, height: orientation.height });
-        await page.waitForTimeout(500); // Allow for layout changes
+        await driver.setViewport({ width: orientation.width, height: orientation.height });
+        await driver.wait(500); // Allow for layout changes
         
         // Check if content is visible and properly sized
-        const viewportInfo = await page.evaluate(() => ({
+        const viewportInfo = await driver.evaluate(() => ({
           innerWidth: window.innerWidth,
           innerHeight: window.innerHeight,
           devicePixelRatio: window.devicePixelRatio,
           orientation: screen.orientation?.angle || 0
         }));
         
-        // Take screenshot for visual verification
-        await page.screenshot({
-          path: path.join(config.screenshotDir, `${config.device}-${orientation.orientation}.png`),
-          fullPage: true
+        // Take screenshot and compare it with the approved baseline
+        const localeSuffix = config.localeProfile ? `-${config.localeProfile.key}` : '';
+        const screenshotName = `${config.deviceKey}-${orientation.orientation}${localeSuffix}`;
+        const screenshotPath = path.join(config.screenshotDir, `${config.device}-${orientation.orientation}${localeSuffix}.png`);
+        const ignoreRegions = await captureScreenshot(driver, screenshotPath);
+        const visual = await compareScreenshot({ name: screenshotName, actualPath: screenshotPath, ignoreRegions }, {
+          baselineDir: config.baselineDir,
+          diffDir: config.diffDir,
+          updateBaselines: config.updateBaselines
         });
         
         results.push({
           orientation: orientation.orientation,
           viewport: viewportInfo,
+          visual,
           timestamp: new Date().toISOString()
         });
       }
       
+      const changed = results.filter(result => result.visual.status === 'FAIL');
+      if (changed.length > 0) {
+        throw new Error(`Visual change against baseline: ${changed.map(result =>
+          `${result.orientation} ${(result.visual.diffRatio * 100).toFixed(2)}% (${result.visual.diff})`).join(', ')}`);
+      }
+      
       return results;
     }
   },
@@ -84,11 +161,12 @@ const MOBILE_TEST_SCENARIOS = [
   {
     name: 'touch_interactions',
     description: 'Test touch-specific interactions and gestures',
-    test: async (page, config) => {
+    requires: ['evaluate'],
+    test: async (driver, config) => {
       const results = [];
       
       // Test touch targets
-      const touchTargets = await page.evaluate(() => {
+      const touchTargets = await driver.evaluate(() => {
         const buttons = Array.from(document.querySelectorAll('button, a, input[type="submit"]'));
         return buttons.map(button => {
           const rect = button.getBoundingClientRect();
@@ -122,32 +200,48 @@ const MOBILE_TEST_SCENARIOS = [
   {
     name: 'mobile_performance',
     description: 'Measure mobile-specific performance metrics',
-    test: async (page, config) => {
+    requires: ['navigate', 'evaluate', 'tap'],
+    test: async (driver, config) => {
       const startTime = performance.now();
       
+      // Observers have to be in place before the first byte so buffered LCP/CLS entries are kept
+      await installWebVitals(driver);
+      
       // Navigate and measure performance
-      await page.goto(config.url, { waitUntil: 'networkidle' });
+      await driver.navigate(config.url, { waitUntil: 'networkidle' });
       
-      const performanceMetrics = await page.evaluate(() => {
+      const performanceMetrics = await driver.evaluate(() => {
         const navigation = performance.getEntriesByType('navigation')[0];
         const paint = performance.getEntriesByType('paint');
         
+        // PerformanceNavigationTiming is relative to its own startTime (0), not navigationStart
         return {
           domContentLoaded: navigation.domContentLoadedEventEnd - navigation.domContentLoadedEventStart,
           loadComplete: navigation.loadEventEnd - navigation.loadEventStart,
           firstPaint: paint.find(p => p.name === 'first-paint')?.startTime || 0,
           firstContentfulPaint: paint.find(p => p.name === 'first-contentful-paint')?.startTime || 0,
-          navigationStart: navigation.navigationStart,
-          domInteractive: navigation.domInteractive - navigation.navigationStart,
-          domComplete: navigation.domComplete - navigation.navigationStart
+          domInteractive: navigation.domInteractive - navigation.startTime,
+          domComplete: navigation.domComplete - navigation.startTime
         };
       });
       
+      // Interact with the page so INP, long tasks and post-load layout shifts are measured
+      const interactions = await runInteractions(driver);
+      const webVitals = await collectWebVitals(driver);
+      const ratings = rateWebVitals(webVitals);
+      
+      Object.entries(ratings)
+        .filter(([, rating]) => rating.rating === 'poor')
+        .forEach(([metric, rating]) => console.warn(`⚠️ ${metric} ${rating.value} is poor (good: ≤ ${rating.good})`));
+      
       const endTime = performance.now();
       const totalTestTime = endTime - startTime;
       
       return {
         ...performanceMetrics,
+        webVitals,
+        ratings,
+        interactions,
         totalTestTime,
         timestamp: new Date().toISOString()
       };
@@ -157,11 +251,12 @@ const MOBILE_TEST_SCENARIOS = [
   {
     name: 'offline_functionality',
     description: 'Test PWA offline functionality',
-    test: async (page, config) => {
+    requires: ['navigate', 'evaluate', 'offline'],
+    test: async (driver, config) => {
       const results = [];
       
       // Test service worker registration
-      const serviceWorkerInfo = await page.evaluate(() => {
+      const serviceWorkerInfo = await driver.evaluate(() => {
         return {
           serviceWorkerSupported: 'serviceWorker' in navigator,
           registration: navigator.serviceWorker?.controller ? 'active' : 'none'
@@ -171,11 +266,11 @@ const MOBILE_TEST_SCENARIOS = [
       results.push({ type: 'serviceWorker', ...serviceWorkerInfo });
       
       // Simulate offline condition
-      await page.context().setOffline(true);
+      await driver.setOffline(true);
       
       try {
-        await page.reload({ waitUntil: 'networkidle', timeout: 10000 });
-        const offlineContent = await page.textContent('body');
+        await driver.reload({ waitUntil: 'networkidle', timeout: 10000 });
+        const offlineContent = await driver.textContent('body');
         
         results.push({
           type: 'offline',
@@ -190,8 +285,8 @@ const MOBILE_TEST_SCENARIOS = [
         });
       }
       
-      // Restore online
-      await page.context().setOffline(false);
+      // Restore online; the driver re-applies any throttling
+      await driver.setOffline(false);
       
       return results;
     }
@@ -200,11 +295,12 @@ const MOBILE_TEST_SCENARIOS = [
   {
     name: 'mobile_navigation',
     description: 'Test mobile navigation patterns',
-    test: async (page, config) => {
+    requires: ['evaluate', 'tap'],
+    test: async (driver, config) => {
       const results = [];
       
       // Check for mobile navigation patterns
-      const navigationInfo = await page.evaluate(() => {
+      const navigationInfo = await driver.evaluate(() => {
         const hamburgerMenu = document.querySelector('[data-testid="hamburger-menu"], .hamburger, .mobile-menu-toggle');
         const sideNav = document.querySelector('[data-testid="side-nav"], .sidebar, .mobile-nav');
         const bottomNav = document.querySelector('[data-testid="bottom-nav"], .bottom-navigation, .tab-bar');
@@ -224,10 +320,10 @@ const MOBILE_TEST_SCENARIOS = [
       // Test hamburger menu interaction if present
       if (navigationInfo.hasHamburgerMenu && navigationInfo.hamburgerVisible) {
         try {
-          await page.click('[data-testid="hamburger-menu"], .hamburger, .mobile-menu-toggle');
-          await page.waitForTimeout(300); // Animation time
+          await driver.tap('[data-testid="hamburger-menu"], .hamburger, .mobile-menu-toggle');
+          await driver.wait(300); // Animation time
           
-          const menuOpened = await page.evaluate(() => {
+          const menuOpened = await driver.evaluate(() => {
             const sideNav = document.querySelector('[data-testid="side-nav"], .sidebar, .mobile-nav');
             return sideNav ? window.getComputedStyle(sideNav).display !== 'none' : false;
           });
@@ -251,113 +347,255 @@ const MOBILE_TEST_SCENARIOS = [
   }
 ];
 
-// Main testing function
-async function runMobileDeviceTests(config) {
-  console.log(`🚀 Starting mobile device tests for ${config.device}`);
-  console.log(`📱 Device config: ${config.width}x${config.height} @ ${config.pixelRatio}x`);
+// Run scenarios on a driver, recording each one in `tests` as it finishes (so a caller that gives
+// up on a slow run still has the finished ones). Scenarios the driver cannot run are skipped;
+// failed ones are retried `config.retries` times, and `config.quarantined` ones cannot fail the run.
+// A scenario that returns validation issues (locale_layout) fails with them.
+async function runScenarios(driver, scenarios, config, tests, tag, { signal } = {}) {
+  const quarantined = config.quarantined || [];
   
-  // Ensure output directories exist
-  await fs.mkdir(config.outputDir, { recursive: true });
-  await fs.mkdir(config.screenshotDir, { recursive: true });
+  for (const scenario of scenarios) {
+    // The caller gave up on the run (session timeout); leave the remaining scenarios unrun
+    if (signal?.aborted) {
+      break;
+    }
+    
+    const reason = skipReason(scenario, driver);
+    if (reason) {
+      tests[scenario.name] = {
+        description: scenario.description,
+        status: 'skipped',
+        reason,
+        timestamp: new Date().toISOString()
+      };
+      console.log(`⏭️ [${tag}] Skipped test ${scenario.name}: ${reason}`);
+      continue;
+    }
+    
+    console.log(`🧪 [${tag}] Running test: ${scenario.name}`);
+    
+    const startTime = performance.now();
+    const outcome = await runWithRetries(async () => {
+      const result = await scenario.test(driver, config);
+      const issues = result?.validation?.issues || [];
+      if (issues.length > 0) {
+        throw new Error(`${issues.length} layout issues: ${issues.map(issue => `${issue.type} (${issue.element})`).join(', ')}`);
+      }
+      return result;
+    }, {
+      retries: config.retries || 0,
+      signal,
+      onRetry: (attempt, error) => console.log(`🔁 [${tag}] Retrying ${scenario.name} (${attempt}/${config.retries}) after: ${error.message}`)
+    });
+    const test = {
+      description: scenario.description,
+      duration: performance.now() - startTime,
+      status: outcome.status,
+      attempts: outcome.attempts,
+      ...(quarantined.includes(scenario.name) ? { quarantined: true } : {}),
+      timestamp: new Date().toISOString()
+    };
+    
+    if (outcome.status === 'failed') {
+      tests[scenario.name] = { ...test, error: outcome.error.message, stack: outcome.error.stack };
+      console.error(`${test.quarantined ? '🚧' : '❌'} [${tag}] Test ${scenario.name} failed${test.quarantined ? ' (quarantined)' : ''}:`, outcome.error.message);
+    } else {
+      tests[scenario.name] = { ...test, result: outcome.result };
+      console.log(outcome.status === 'flaky' ?
+        `⚠️ [${tag}] Test ${scenario.name} passed on attempt ${outcome.attempts.length} (flaky)` :
+        `✅ [${tag}] Test ${scenario.name} completed successfully`);
+    }
+  }
   
-  const browser = await chromium.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-dev-shm-usage']
-  });
+  return tests;
+}
+
+// Overall results of a device run. Flaky scenarios count as passed; skipped ones and failures of
+// quarantined scenarios do not fail the run.
+function summarizeTests(tests) {
+  const list = Object.values(tests);
+  const count = (predicate) => list.filter(predicate).length;
+  const passed = count(test => test.status === 'passed');
+  const flaky = count(test => test.status === 'flaky');
+  const failed = count(test => test.status === 'failed' && !test.quarantined);
+  const quarantined = count(test => test.status === 'failed' && test.quarantined);
+  const ran = passed + flaky + failed + quarantined;
+  
+  return {
+    total: list.length,
+    passed,
+    flaky,
+    failed,
+    quarantined,
+    skipped: list.length - ran,
+    successRate: ran > 0 ? ((passed + flaky) / ran) * 100 : 0,
+    status: failed === 0 ? RUN_STATUS.PASS : RUN_STATUS.FAIL
+  };
+}
+
+// Run every mobile scenario for one device configuration in a fresh context of the given browser
+async function runDeviceScenarios(browser, config) {
+  config.throttling = resolveThrottling(config);
+  config.localeProfile = config.locale ? resolveLocaleProfile(config.locale) : null;
+  const tag = [config.device, config.throttling?.network, config.localeProfile?.key].filter(Boolean).join('/');
+  const scenarios = config.localeProfile ? [...MOBILE_TEST_SCENARIOS, LOCALE_TEST_SCENARIO] : MOBILE_TEST_SCENARIOS;
+  
+  if (config.throttling) {
+    console.log(`🌐 [${tag}] Network: ${config.throttling.conditions.description}`);
+    console.log(`🐢 [${tag}] CPU slowdown: ${config.throttling.cpuSlowdownMultiplier}x (${config.throttling.processorTier} tier)`);
+  }
+  if (config.localeProfile) {
+    console.log(`🌍 [${tag}] Locale: ${config.localeProfile.description} (${config.localeProfile.direction}, ${config.localeProfile.timezone})`);
+  }
+  
+  await fs.mkdir(config.screenshotDir, { recursive: true });
   
   const context = await browser.newContext({
     viewport: { width: config.width, height: config.height },
     deviceScaleFactor: config.pixelRatio,
     userAgent: config.userAgent,
     hasTouch: true,
-    isMobile: true
+    isMobile: true,
+    ...(config.localeProfile ? toLocaleContextOptions(config.localeProfile) : {})
   });
   
-  const page = await context.newPage();
   const testResults = {
     device: config.device,
     configuration: {
       width: config.width,
       height: config.height,
       pixelRatio: config.pixelRatio,
-      userAgent: config.userAgent
+      userAgent: config.userAgent,
+      network: config.throttling?.network || 'unthrottled',
+      cpuSlowdownMultiplier: config.throttling?.cpuSlowdownMultiplier || 1,
+      locale: config.localeProfile?.locale || 'default'
     },
     timestamp: new Date().toISOString(),
     tests: {}
   };
   
   try {
-    // Run all mobile test scenarios
-    for (const scenario of MOBILE_TEST_SCENARIOS) {
-      console.log(`🧪 Running test: ${scenario.name}`);
-      
-      try {
-        const startTime = performance.now();
-        const result = await scenario.test(page, config);
-        const endTime = performance.now();
-        
-        testResults.tests[scenario.name] = {
-          description: scenario.description,
-          duration: endTime - startTime,
-          result,
-          status: 'passed',
-          timestamp: new Date().toISOString()
-        };
-        
-        console.log(`✅ Test ${scenario.name} completed successfully`);
-      } catch (error) {
-        testResults.tests[scenario.name] = {
-          description: scenario.description,
-          status: 'failed',
-          error: error.message,
-          stack: error.stack,
-          timestamp: new Date().toISOString()
-        };
-        
-        console.error(`❌ Test ${scenario.name} failed:`, error.message);
-      }
+    const page = await context.newPage();
+    if (config.throttling) {
+      await applyThrottling(page, config.throttling);
     }
     
-    // Calculate overall results
-    const totalTests = Object.keys(testResults.tests).length;
-    const passedTests = Object.values(testResults.tests).filter(test => test.status === 'passed').length;
-    const failedTests = totalTests - passedTests;
-    
-    testResults.summary = {
-      total: totalTests,
-      passed: passedTests,
-      failed: failedTests,
-      successRate: (passedTests / totalTests) * 100
-    };
-    
-    console.log(`\n📊 Test Summary for ${config.device}:`);
-    console.log(`  Total Tests: ${totalTests}`);
-    console.log(`  Passed: ${passedTests}`);
-    console.log(`  Failed: ${failedTests}`);
-    console.log(`  Success Rate: ${testResults.summary.successRate.toFixed(1)}%`);
-    
+    const driver = createPlaywrightDriver(page, { hasTouch: true, throttling: config.throttling });
+    await runScenarios(driver, scenarios, config, testResults.tests, tag);
   } finally {
-    await browser.close();
+    await context.close();
   }
   
-  // Save results
-  const resultFile = path.join(config.outputDir, `mobile-test-${config.device.replace(/\s+/g, '-')}.json`);
+  testResults.summary = summarizeTests(testResults.tests);
+  
+  console.log(`\n📊 Test Summary for ${tag}:`);
+  console.log(`  Total Tests: ${testResults.summary.total}`);
+  console.log(`  Passed: ${testResults.summary.passed}`);
+  console.log(`  Flaky: ${testResults.summary.flaky}`);
+  console.log(`  Failed: ${testResults.summary.failed}`);
+  console.log(`  Quarantined failures: ${testResults.summary.quarantined}`);
+  console.log(`  Skipped: ${testResults.summary.skipped}`);
+  console.log(`  Success Rate: ${testResults.summary.successRate.toFixed(1)}%`);
+  
+  return testResults;
+}
+
+// One JUnit test suite per device run, one test case per MOBILE_TEST_SCENARIOS entry
+function toJUnitSuite(testResults) {
+  const suiteName = testResults.configuration.network === 'unthrottled' ?
+    testResults.device :
+    `${testResults.device} (${testResults.configuration.network})`;
+
+  return {
+    name: suiteName,
+    timestamp: testResults.timestamp,
+    properties: testResults.configuration,
+    cases: Object.entries(testResults.tests).map(([name, test]) => ({
+      name,
+      classname: `mobile-device.${testResults.device.replace(/\s+/g, '_')}`,
+      duration: test.duration,
+      failure: test.status === 'failed' && !test.quarantined ? { message: test.error, details: test.stack } : null,
+      skipped: test.status === 'skipped' ? test.reason : (test.quarantined && test.status === 'failed' ? `Quarantined: ${test.error}` : null)
+    }))
+  };
+}
+
+// Save device results as mobile-test-<device>[-<network>][-<locale>].json (plus any --reporter formats next to it)
+async function saveDeviceResults(testResults, config) {
+  const networkSuffix = config.throttling ? `-${config.throttling.network}` : '';
+  const localeSuffix = config.localeProfile ? `-${config.localeProfile.key}` : '';
+  const resultFile = path.join(config.outputDir, `mobile-test-${config.device.replace(/\s+/g, '-')}${networkSuffix}${localeSuffix}.json`);
   await fs.writeFile(resultFile, JSON.stringify(testResults, null, 2));
+
+  await writeReports(config.reporter || [], resultFile.replace(/\.json$/, ''), {
+    junit: () => toJUnitXml([toJUnitSuite(testResults)])
+  });
+  
+  return resultFile;
+}
+
+// Main testing function
+async function runMobileDeviceTests(config) {
+  console.log(`🚀 Starting mobile device tests for ${config.device}`);
+  console.log(`📱 Device config: ${config.width}x${config.height} @ ${config.pixelRatio}x`);
+  
+  // Ensure output directories exist
+  await fs.mkdir(config.outputDir, { recursive: true });
+  
+  // Retry policy and quarantine from the flake ledger of earlier runs
+  const ledger = await readLedger(config.flakeLedger);
+  config.retries = resolveRetries(config);
+  config.quarantined = quarantinedScenarios(computeFlakeRates(ledger, 'device'), deviceContext(config));
+  console.log(`🔁 Retries per failed scenario: ${config.retries}`);
+  if (config.quarantined.length > 0) {
+    console.log(`🚧 Quarantined (failures do not fail the run): ${config.quarantined.join(', ')}`);
+  }
   
+  // Loaded here so the WebDriver runner can share the scenarios without Playwright
+  const { chromium } = require('playwright');
+  const browser = await chromium.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-dev-shm-usage']
+  });
+  
+  let testResults;
+  try {
+    testResults = await runDeviceScenarios(browser, config);
+  } finally {
+    await browser.close();
+  }
+  
+  // Record this run's outcomes and show the updated flake rates
+  const entries = toLedgerEntries('device', deviceContext(config), testResults.tests);
+  await appendLedger(entries, config.flakeLedger);
+  testResults.flakeRates = computeFlakeRates([...ledger, ...entries], 'device');
+  printFlakeRates(testResults.flakeRates);
+  
+  // Save results
+  const resultFile = await saveDeviceResults(testResults, config);
   console.log(`💾 Results saved to: ${resultFile}`);
   
-  // Exit with appropriate code
-  const hasFailures = testResults.summary.failed > 0;
-  process.exit(hasFailures ? 1 : 0);
+  return testResults;
 }
 
 // Run tests if called directly
 if (require.main === module) {
-  const config = parseArguments();
-  runMobileDeviceTests(config).catch(error => {
-    console.error('❌ Mobile device testing failed:', error);
-    process.exit(1);
-  });
+  runCli(MOBILE_DEVICE_COMMAND, 'node scripts/mobile-device-test.js',
+    config => runMobileDeviceTests(resolveDeviceConfig(config)));
 }
 
-module.exports = { runMobileDeviceTests, MOBILE_TEST_SCENARIOS }; 
\ No newline at end of file
+module.exports = {
+  runMobileDeviceTests,
+  MOBILE_DEVICE_COMMAND,
+  runDeviceScenarios,
+  deviceContext,
+  runScenarios,
+  summarizeTests,
+  saveDeviceResults,
+  toJUnitSuite,
+  resolveDeviceConfig,
+  MOBILE_TEST_SCENARIOS,
+  LOCALE_TEST_SCENARIO,
+  applyThrottling,
+  resolveThrottling
+}; 
\ No newline at end of file
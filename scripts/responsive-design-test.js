@@ -8,27 +8,40 @@
 const { chromium } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
+const { LOCALE_PROFILES } = require('../config/mobile-testing.config');
+const { getBreakpoints } = require('../config/device-registry');
+const { VISUAL_DIFF_DEFAULTS, DEFAULT_IGNORE_SELECTORS, captureScreenshot, compareScreenshot } = require('./lib/visual-diff');
+const { RUN_STATUS, runCli } = require('./lib/cli');
+const { reporterOption, toJUnitXml, toSarif, writeReports, reportBasePath, readRouteSources, routeSourceFile } = require('./lib/reporters');
+const { resolveLocaleProfile, toLocaleContextOptions, LOCALE_TEST_SCENARIO } = require('./lib/rtl-checks');
+const { checkLayout, toLayoutShiftIssues } = require('./lib/layout-checks');
+const { installWebVitals, collectWebVitals } = require('./lib/web-vitals');
+const { createPlaywrightDriver, skipReason } = require('./lib/drivers');
+const {
+  retryOptions,
+  resolveRetries,
+  runWithRetries,
+  readLedger,
+  appendLedger,
+  toLedgerEntries,
+  computeFlakeRates,
+  quarantinedScenarios,
+  printFlakeRates
+} = require('./lib/flaky-tests');
 
-// Mobile-first responsive breakpoints
-const RESPONSIVE_BREAKPOINTS = {
-  'xs': { width: 320, height: 568, description: 'Extra Small (iPhone 5/SE)' },
-  'sm': { width: 375, height: 667, description: 'Small (iPhone 6/7/8)' },
-  'md': { width: 414, height: 896, description: 'Medium (iPhone 6+/7+/8+)' },
-  'lg': { width: 768, height: 1024, description: 'Large (iPad Portrait)' },
-  'xl': { width: 1024, height: 768, description: 'Extra Large (iPad Landscape)' },
-  'xxl': { width: 1440, height: 900, description: 'Desktop' }
-};
+// Mobile-first responsive breakpoints, derived from the device registry
+const RESPONSIVE_BREAKPOINTS = getBreakpoints();
 
-// Test scenarios for responsive design
+// Test scenarios for responsive design; `requires` lists the driver capabilities each one needs (scripts/lib/drivers.js)
 const RESPONSIVE_TEST_SCENARIOS = [
   {
     name: 'layout_adaptation',
-    description: 'Test layout adaptation across breakpoints',
-    test: async (page, breakpoint, url) => {
-      await page.goto(url);
-      await page.waitForLoadState('networkidle');
+    description: 'Test layout adaptation, overflow, clipping, overlaps and layout shifts across breakpoints',
+    requires: ['navigate', 'evaluate'],
+    test: async (driver, breakpoint, url) => {
+      await driver.navigate(url, { waitUntil: 'networkidle' });
       
-      const layoutInfo = await page.evaluate(() => {
+      const layoutInfo = await driver.evaluate(() => {
         const header = document.querySelector('header, [role="banner"], .header');
         const nav = document.querySelector('nav, [role="navigation"], .nav, .navigation');
         const main = document.querySelector('main, [role="main"], .main');
@@ -63,18 +76,29 @@ const RESPONSIVE_TEST_SCENARIOS = [
         };
       });
       
-      return layoutInfo;
+      // CLS of this load (observers are installed on the page before navigation)
+      const webVitals = await collectWebVitals(driver);
+      const layout = await checkLayout(driver);
+      
+      return {
+        ...layoutInfo,
+        cls: { value: webVitals.CLS, sources: webVitals.shiftSources },
+        layout,
+        validation: {
+          issues: [...layout.issues, ...toLayoutShiftIssues(webVitals)]
+        }
+      };
     }
   },
   
   {
     name: 'navigation_adaptation',
     description: 'Test navigation adaptation for mobile devices',
-    test: async (page, breakpoint, url) => {
-      await page.goto(url);
-      await page.waitForLoadState('networkidle');
+    requires: ['navigate', 'evaluate', 'tap'],
+    test: async (driver, breakpoint, url) => {
+      await driver.navigate(url, { waitUntil: 'networkidle' });
       
-      const navigationInfo = await page.evaluate(() => {
+      const navigationInfo = await driver.evaluate(() => {
         const hamburger = document.querySelector('.hamburger, .menu-toggle, [data-testid="menu-toggle"]');
         const sideNav = document.querySelector('.sidebar, .side-nav, [data-testid="side-nav"]');
         const mainNav = document.querySelector('.main-nav, .primary-nav, nav ul');
@@ -108,10 +132,10 @@ const RESPONSIVE_TEST_SCENARIOS = [
       // Test hamburger menu interaction if present
       if (navigationInfo.hamburger?.visible) {
         try {
-          await page.click('.hamburger, .menu-toggle, [data-testid="menu-toggle"]');
-          await page.waitForTimeout(300); // Animation time
+          await driver.tap('.hamburger, .menu-toggle, [data-testid="menu-toggle"]');
+          await driver.wait(300); // Animation time
           
-          const menuOpened = await page.evaluate(() => {
+          const menuOpened = await driver.evaluate(() => {
             const sideNav = document.querySelector('.sidebar, .side-nav, [data-testid="side-nav"]');
             return sideNav && window.getComputedStyle(sideNav).display !== 'none';
           });
@@ -129,11 +153,11 @@ const RESPONSIVE_TEST_SCENARIOS = [
   {
     name: 'content_readability',
     description: 'Test content readability and text sizing',
-    test: async (page, breakpoint, url) => {
-      await page.goto(url);
-      await page.waitForLoadState('networkidle');
+    requires: ['navigate', 'evaluate'],
+    test: async (driver, breakpoint, url) => {
+      await driver.navigate(url, { waitUntil: 'networkidle' });
       
-      const contentInfo = await page.evaluate(() => {
+      const contentInfo = await driver.evaluate(() => {
         const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
         const paragraphs = Array.from(document.querySelectorAll('p'));
         const buttons = Array.from(document.querySelectorAll('button, input[type="submit"], input[type="button"]'));
@@ -211,11 +235,11 @@ const RESPONSIVE_TEST_SCENARIOS = [
   {
     name: 'form_usability',
     description: 'Test form usability across breakpoints',
-    test: async (page, breakpoint, url) => {
-      await page.goto(url);
-      await page.waitForLoadState('networkidle');
+    requires: ['navigate', 'evaluate'],
+    test: async (driver, breakpoint, url) => {
+      await driver.navigate(url, { waitUntil: 'networkidle' });
       
-      const formInfo = await page.evaluate(() => {
+      const formInfo = await driver.evaluate(() => {
         const forms = Array.from(document.querySelectorAll('form'));
         const inputs = Array.from(document.querySelectorAll('input, textarea, select'));
         
@@ -281,11 +305,11 @@ const RESPONSIVE_TEST_SCENARIOS = [
   {
     name: 'image_optimization',
     description: 'Test image responsiveness and optimization',
-    test: async (page, breakpoint, url) => {
-      await page.goto(url);
-      await page.waitForLoadState('networkidle');
+    requires: ['navigate', 'evaluate'],
+    test: async (driver, breakpoint, url) => {
+      await driver.navigate(url, { waitUntil: 'networkidle' });
       
-      const imageInfo = await page.evaluate(() => {
+      const imageInfo = await driver.evaluate(() => {
         const images = Array.from(document.querySelectorAll('img'));
         
         return images.map(img => ({
@@ -345,33 +369,64 @@ const RESPONSIVE_TEST_SCENARIOS = [
   }
 ];
 
-// Parse command line arguments
-function parseArguments() {
-  const args = process.argv.slice(2);
-  const config = {
-    url: 'http://localhost:3000',
-    breakpoints: '320,375,414,768,1024,1440',
-    pages: '/',
-    outputDir: './responsive-screenshots',
-    reportFile: './responsive-report.html'
-  };
-
-  for (let i = 0; i < args.length; i += 2) {
-    const key = args[i].replace('--', '');
-    const value = args[i + 1];
-    config[key] = value;
-  }
-
-  return config;
-}
+// Command-line options (see scripts/lib/cli.js)
+const RESPONSIVE_COMMAND = {
+  name: 'responsive',
+  description: 'Test layout, navigation, readability, forms and images per breakpoint and diff the screenshots against baselines',
+  options: [
+    { name: 'url', type: 'string', default: 'http://localhost:3000', description: 'Application URL' },
+    { name: 'breakpoints', type: 'list', items: 'integer', default: [320, 375, 414, 768, 1024, 1440], description: 'Comma-separated viewport widths' },
+    { name: 'pages', type: 'list', default: ['/'], description: 'Comma-separated page paths' },
+    { name: 'outputDir', type: 'string', default: './responsive-screenshots', description: 'Screenshot directory' },
+    { name: 'reportFile', type: 'string', default: './responsive-report.html', description: 'HTML report path (a .json report is written next to it)' },
+    { name: 'baselineDir', type: 'string', default: VISUAL_DIFF_DEFAULTS.baselineDir, description: 'Approved screenshot baselines' },
+    { name: 'diffDir', type: 'string', default: VISUAL_DIFF_DEFAULTS.diffDir, description: 'Where diff images are written' },
+    { name: 'maxDiffRatio', type: 'number', default: VISUAL_DIFF_DEFAULTS.maxDiffRatio, description: 'Share of pixels allowed to differ from the baseline' },
+    { name: 'ignore', type: 'string', default: DEFAULT_IGNORE_SELECTORS.join(','), description: 'Comma-separated selectors blanked out before diffing' },
+    { name: 'updateBaselines', type: 'boolean', default: false, description: 'Approve the current screenshots as baselines' },
+    { name: 'locale', type: 'string', choices: Object.keys(LOCALE_PROFILES), description: 'Browser locale and timezone from LOCALE_PROFILES; adds the locale_layout scenario' },
+    { name: 'routeSources', type: 'string', description: 'JSON file mapping route patterns to repository files; SARIF findings on a mapped route are annotated on its file' },
+    ...retryOptions(),
+    reporterOption(['junit', 'sarif'])
+  ]
+};
 
 // Main responsive testing function
 async function runResponsiveTests(config) {
   console.log('🚀 Starting responsive design testing...');
   
   // Parse configuration
-  const breakpoints = config.breakpoints.split(',').map(bp => parseInt(bp.trim()));
-  const pages = config.pages.split(',').map(page => page.trim());
+  const { breakpoints, pages } = config;
+  const visualOptions = {
+    baselineDir: config.baselineDir,
+    diffDir: config.diffDir,
+    maxDiffRatio: config.maxDiffRatio,
+    updateBaselines: config.updateBaselines
+  };
+  const ignoreSelectors = config.ignore.split(',').map(selector => selector.trim()).filter(Boolean);
+  const localeProfile = config.locale ? resolveLocaleProfile(config.locale) : null;
+  const routeSources = config.routeSources ? await readRouteSources(config.routeSources) : {};
+  // --locale adds locale_layout; its issues join the breakpoint's issues list
+  const scenarios = localeProfile ? [...RESPONSIVE_TEST_SCENARIOS, {
+    ...LOCALE_TEST_SCENARIO,
+    // layout_adaptation already reports layout-overflow for this page
+    test: (driver, breakpoint, url) => LOCALE_TEST_SCENARIO.test(driver, { url, localeProfile, overflow: false })
+  }] : RESPONSIVE_TEST_SCENARIOS;
+  
+  if (localeProfile) {
+    console.log(`🌍 Locale: ${localeProfile.description} (${localeProfile.locale}, ${localeProfile.direction}, ${localeProfile.timezone})`);
+  }
+  
+  // Retry policy and quarantine from the flake ledger of earlier runs
+  const ledger = await readLedger(config.flakeLedger);
+  const ledgerEntries = [];
+  const retries = resolveRetries(config);
+  const previousFlakeRates = computeFlakeRates(ledger, 'responsive');
+  const quarantinedRates = previousFlakeRates.filter(rate => rate.quarantined);
+  console.log(`🔁 Retries per failed scenario: ${retries}`);
+  if (quarantinedRates.length > 0) {
+    console.log(`🚧 Quarantined (failures do not fail the run): ${quarantinedRates.map(rate => `${rate.scenario} [${rate.context}]`).join(', ')}`);
+  }
   
   // Ensure output directory exists
   await fs.mkdir(config.outputDir, { recursive: true });
@@ -388,8 +443,12 @@ async function runResponsiveTests(config) {
     summary: {
       totalTests: 0,
       passedTests: 0,
+      flakyTests: 0,
       failedTests: 0,
-      issues: []
+      quarantinedTests: 0,
+      skippedTests: 0,
+      issues: [],
+      visual: { compared: 0, passed: 0, failed: 0, new: 0, updated: 0 }
     }
   };
   
@@ -408,56 +467,84 @@ async function runResponsiveTests(config) {
         const context = await browser.newContext({
           viewport: { width: breakpoint.width, height: breakpoint.height },
           deviceScaleFactor: 1,
-          isMobile: breakpoint.width < 768
+          isMobile: breakpoint.width < 768,
+          ...(localeProfile ? toLocaleContextOptions(localeProfile) : {})
         });
         
-        const browserPage = await context.newPage();
+        const driver = createPlaywrightDriver(await context.newPage());
+        await installWebVitals(driver);
+        // Each locale has its own baselines
+        const screenshotName = `${page.replace(/\//g, '_')}_${breakpoint.width}px${localeProfile ? `_${localeProfile.key}` : ''}`;
         const pageResults = {
           breakpoint,
           tests: {},
-          screenshot: path.join(config.outputDir, `${page.replace(/\//g, '_')}_${breakpoint.width}px.png`)
+          screenshot: path.join(config.outputDir, `${screenshotName}.png`)
         };
         
         try {
-          // Take screenshot
-          await browserPage.goto(config.url + page);
-          await browserPage.waitForLoadState('networkidle');
-          await browserPage.screenshot({ path: pageResults.screenshot, fullPage: true });
+          // Take screenshot and compare it with the approved baseline
+          await driver.navigate(config.url + page, { waitUntil: 'networkidle' });
+          const ignoreRegions = await captureScreenshot(driver, pageResults.screenshot, { ignoreSelectors });
           
-          // Run all responsive test scenarios
-          for (const scenario of RESPONSIVE_TEST_SCENARIOS) {
-            try {
-              const result = await scenario.test(browserPage, breakpoint, config.url + page);
-              pageResults.tests[scenario.name] = {
-                description: scenario.description,
-                result,
-                status: 'passed'
-              };
-              
+          pageResults.visual = await compareScreenshot({
+            name: screenshotName,
+            actualPath: pageResults.screenshot,
+            ignoreRegions
+          }, visualOptions);
+          countVisualResult(testResults.summary.visual, pageResults.visual);
+          
+          if (pageResults.visual.status === 'FAIL') {
+            console.log(`  🖼️ Visual change: ${(pageResults.visual.diffRatio * 100).toFixed(2)}% of pixels differ (${pageResults.visual.diff})`);
+          }
+          
+          // Run all responsive test scenarios; quarantine applies per page and breakpoint
+          const ledgerContext = `${page} @ ${breakpoint.width}px`;
+          const quarantined = quarantinedScenarios(previousFlakeRates, ledgerContext);
+          for (const scenario of scenarios) {
+            const reason = skipReason(scenario, driver);
+            if (reason) {
+              pageResults.tests[scenario.name] = { description: scenario.description, status: 'skipped', reason };
               testResults.summary.totalTests++;
-              testResults.summary.passedTests++;
+              testResults.summary.skippedTests++;
+              continue;
+            }
+            
+            const startTime = Date.now();
+            const outcome = await runWithRetries(() => scenario.test(driver, breakpoint, config.url + page, localeProfile), {
+              retries,
+              onRetry: (attempt, error) => console.log(`  🔁 Retrying ${scenario.name} (${attempt}/${retries}) after: ${error.message}`)
+            });
+            const test = {
+              description: scenario.description,
+              duration: Date.now() - startTime,
+              status: outcome.status,
+              attempts: outcome.attempts,
+              ...(quarantined.includes(scenario.name) ? { quarantined: true } : {})
+            };
+            testResults.summary.totalTests++;
+            
+            if (outcome.status === 'failed') {
+              pageResults.tests[scenario.name] = { ...test, error: outcome.error.message };
+              testResults.summary[test.quarantined ? 'quarantinedTests' : 'failedTests']++;
+            } else {
+              pageResults.tests[scenario.name] = { ...test, result: outcome.result };
+              testResults.summary[outcome.status === 'flaky' ? 'flakyTests' : 'passedTests']++;
+              if (outcome.status === 'flaky') {
+                console.log(`  ⚠️ ${scenario.name} passed on attempt ${outcome.attempts.length} (flaky)`);
+              }
               
               // Collect issues from validation
-              if (result.validation?.issues) {
-                testResults.summary.issues.push(...result.validation.issues.map(issue => ({
+              if (outcome.result.validation?.issues) {
+                testResults.summary.issues.push(...outcome.result.validation.issues.map(issue => ({
                   ...issue,
                   page,
                   breakpoint: breakpoint.description,
                   width: breakpoint.width
                 })));
               }
-              
-            } catch (error) {
-              pageResults.tests[scenario.name] = {
-                description: scenario.description,
-                status: 'failed',
-                error: error.message
-              };
-              
-              testResults.summary.totalTests++;
-              testResults.summary.failedTests++;
             }
           }
+          ledgerEntries.push(...toLedgerEntries('responsive', ledgerContext, pageResults.tests));
           
         } catch (error) {
           pageResults.error = error.message;
@@ -470,17 +557,32 @@ async function runResponsiveTests(config) {
     }
     
     // Generate summary
-    const successRate = testResults.summary.totalTests > 0 ? 
-      (testResults.summary.passedTests / testResults.summary.totalTests) * 100 : 0;
+    const ranTests = testResults.summary.totalTests - testResults.summary.skippedTests;
+    const successRate = ranTests > 0 ? ((testResults.summary.passedTests + testResults.summary.flakyTests) / ranTests) * 100 : 0;
     
     testResults.summary.successRate = Math.round(successRate);
+
+    const hasFailures = testResults.summary.failedTests > 0 ||
+      testResults.summary.issues.length > 10 ||
+      testResults.summary.visual.failed > 0;
+    testResults.summary.status = hasFailures ? RUN_STATUS.FAIL : RUN_STATUS.PASS;
     
     console.log('\n📊 Responsive Design Test Results:');
+    console.log(`  Status: ${testResults.summary.status}`);
     console.log(`  Total Tests: ${testResults.summary.totalTests}`);
     console.log(`  Passed: ${testResults.summary.passedTests}`);
+    console.log(`  Flaky: ${testResults.summary.flakyTests}`);
     console.log(`  Failed: ${testResults.summary.failedTests}`);
+    console.log(`  Quarantined failures: ${testResults.summary.quarantinedTests}`);
+    console.log(`  Skipped: ${testResults.summary.skippedTests}`);
     console.log(`  Success Rate: ${testResults.summary.successRate}%`);
     console.log(`  Issues Found: ${testResults.summary.issues.length}`);
+    console.log(`  Visual: ${testResults.summary.visual.passed} unchanged, ${testResults.summary.visual.failed} changed, ${testResults.summary.visual.new} without baseline, ${testResults.summary.visual.updated} baselines updated`);
+    
+    // Record this run in the flake ledger and report flake rates including it
+    await appendLedger(ledgerEntries, config.flakeLedger);
+    testResults.flakeRates = computeFlakeRates([...ledger, ...ledgerEntries], 'responsive');
+    printFlakeRates(testResults.flakeRates);
     
     // Generate HTML report
     const htmlReport = generateHTMLReport(testResults);
@@ -491,14 +593,81 @@ async function runResponsiveTests(config) {
     const jsonReport = config.reportFile.replace('.html', '.json');
     await fs.writeFile(jsonReport, JSON.stringify(testResults, null, 2));
     console.log(`💾 JSON results saved to: ${jsonReport}`);
+
+    await writeReports(config.reporter || [], reportBasePath(config.reportFile), {
+      junit: () => toJUnitXml(toJUnitSuites(testResults)),
+      sarif: () => toSarif(toSarifFindings(testResults, config.url, routeSources))
+    });
     
   } finally {
     await browser.close();
   }
   
-  // Exit with appropriate code
-  const hasFailures = testResults.summary.failedTests > 0 || testResults.summary.issues.length > 10;
-  process.exit(hasFailures ? 1 : 0);
+  return testResults;
+}
+
+// One JUnit test suite per page and breakpoint, one test case per RESPONSIVE_TEST_SCENARIOS entry.
+// Scenarios that never ran because the page failed to load are reported as failures.
+function toJUnitSuites(testResults) {
+  return Object.entries(testResults.results).flatMap(([page, byWidth]) =>
+    Object.values(byWidth).map(pageResults => ({
+      name: `${page} @ ${pageResults.breakpoint.width}px`,
+      timestamp: testResults.timestamp,
+      properties: { page, breakpoint: pageResults.breakpoint.description, width: pageResults.breakpoint.width },
+      cases: [...RESPONSIVE_TEST_SCENARIOS, ...(testResults.configuration.locale ? [LOCALE_TEST_SCENARIO] : [])].map(scenario => {
+        const test = pageResults.tests[scenario.name];
+        const error = test ? test.error : pageResults.error;
+        return {
+          name: scenario.name,
+          classname: `responsive.${pageResults.breakpoint.width}px`,
+          duration: test?.duration,
+          failure: !test || (test.status === 'failed' && !test.quarantined) ? { message: error || 'Scenario did not run' } : null,
+          skipped: test?.status === 'skipped' ? test.reason : (test?.quarantined && test.status === 'failed' ? `Quarantined: ${test.error}` : null)
+        };
+      })
+    })));
+}
+
+// SARIF findings for the validation issues (touch targets, text size, inputs, images)
+function toSarifFindings(testResults, baseUrl, routeSources) {
+  const issues = testResults.summary.issues;
+  const types = [...new Set(issues.map(issue => issue.type))];
+
+  return {
+    command: RESPONSIVE_COMMAND.name,
+    rules: types.map(type => ({ id: `responsive/${type}`, description: `Responsive design check: ${type}` })),
+    findings: issues.map(issue => ({
+      ruleId: `responsive/${issue.type}`,
+      level: 'warning',
+      message: `${issue.issue} at ${issue.breakpoint} (${issue.width}px). ${issue.recommendation}`,
+      file: routeSourceFile(issue.page, routeSources),
+      url: new URL(issue.page, baseUrl).href,
+      target: issue.element,
+      properties: { breakpoint: issue.breakpoint, width: issue.width, recommendation: issue.recommendation }
+    }))
+  };
+}
+
+// Tally one visual comparison into the summary
+function countVisualResult(visualSummary, visual) {
+  const key = { PASS: 'passed', FAIL: 'failed', NEW: 'new', UPDATED: 'updated' }[visual.status];
+  visualSummary[key]++;
+  if (visual.status === 'PASS' || visual.status === 'FAIL') {
+    visualSummary.compared++;
+  }
+}
+
+// Baseline | current | diff, for screenshots that no longer match their baseline
+function renderVisualComparison(visual) {
+  return `
+                <div class="visual-diff">
+                    <p class="fail"><strong>Visual change:</strong> ${(visual.diffRatio * 100).toFixed(2)}% of pixels differ${visual.sizeMismatch ? ` (size ${visual.sizeMismatch.baseline.width}x${visual.sizeMismatch.baseline.height} → ${visual.sizeMismatch.actual.width}x${visual.sizeMismatch.actual.height})` : ''}</p>
+                    <div class="side-by-side">
+                        <figure><img src="${visual.baseline}" alt="Baseline" /><figcaption>Baseline</figcaption></figure>
+                        <figure><img src="${visual.actual}" alt="Current" /><figcaption>Current</figcaption></figure>
+                        <figure><img src="${visual.diff}" alt="Diff" /><figcaption>Diff</figcaption></figure>
+                    </div>
+                </div>`;
 }
 
 // Generate HTML report
@@ -523,6 +692,9 @@ function generateHTMLReport(results) {
         .issue { background: #fee; border: 1px solid #fcc; padding: 15px; margin: 10px 0; border-radius: 8px; }
         .pass { color: #22c55e; }
         .fail { color: #ef4444; }
+        .screenshot.changed { grid-column: 1 / -1; border-color: #ef4444; }
+        .side-by-side { display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; }
+        .side-by-side figure { margin: 0; text-align: center; }
     </style>
 </head>
 <body>
@@ -548,6 +720,12 @@ function generateHTMLReport(results) {
                 ${summary.issues.length}
             </div>
         </div>
+        <div class="summary-card">
+            <h3>Visual Changes</h3>
+            <div style="font-size: 24px; font-weight: bold;" class="${summary.visual.failed > 0 ? 'fail' : 'pass'}">
+                ${summary.visual.failed}/${summary.visual.compared}
+            </div>
+        </div>
         <div class="summary-card">
             <h3>Pages Tested</h3>
             <div style="font-size: 24px; font-weight: bold;">${Object.keys(testResults).length}</div>
@@ -557,11 +735,12 @@ function generateHTMLReport(results) {
     <div class="screenshots">
         ${Object.entries(testResults).map(([page, pageResults]) => 
           Object.entries(pageResults).map(([width, result]) => `
-            <div class="screenshot">
+            <div class="screenshot ${result.visual?.status === 'FAIL' ? 'changed' : ''}">
                 <h3>${page} - ${width}px</h3>
-                <img src="${result.screenshot}" alt="${page} at ${width}px" />
+                ${result.visual?.status === 'FAIL' ? renderVisualComparison(result.visual) : `<img src="${result.screenshot}" alt="${page} at ${width}px" />`}
                 <p><strong>Breakpoint:</strong> ${result.breakpoint.description}</p>
                 <p><strong>Tests:</strong> ${Object.keys(result.tests).length}</p>
+                ${result.visual ? `<p><strong>Visual:</strong> ${result.visual.status}</p>` : ''}
             </div>
           `).join('')
         ).join('')}
@@ -587,11 +766,7 @@ function generateHTMLReport(results) {
 
 // Run tests if called directly
 if (require.main === module) {
-  const config = parseArguments();
-  runResponsiveTests(config).catch(error => {
-    console.error('❌ Responsive design testing failed:', error);
-    process.exit(1);
-  });
+  runCli(RESPONSIVE_COMMAND, 'node scripts/responsive-design-test.js', runResponsiveTests);
 }
 
-module.exports = { runResponsiveTests, RESPONSIVE_BREAKPOINTS, RESPONSIVE_TEST_SCENARIOS }; 
\ No newline at end of file
+module.exports = { runResponsiveTests, RESPONSIVE_COMMAND, RESPONSIVE_BREAKPOINTS, RESPONSIVE_TEST_SCENARIOS, LOCALE_TEST_SCENARIO }; 
\ No newline at end of file
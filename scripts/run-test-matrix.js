@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * Jordan Test Matrix Orchestrator
+ * Runs the mobile device scenarios for every device × network cell of getJordanTestMatrix()
+ * in parallel browser contexts and combines the results into one weighted report
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { JORDAN_MARKET_CONFIG, getJordanTestMatrix } = require('../config/mobile-testing.config');
+const { runDeviceScenarios, saveDeviceResults, resolveDeviceConfig, deviceContext } = require('./mobile-device-test');
+const { RUN_STATUS, runCli } = require('./lib/cli');
+const { reporterOption } = require('./lib/reporters');
+const {
+  retryOptions,
+  resolveRetries,
+  readLedger,
+  appendLedger,
+  toLedgerEntries,
+  computeFlakeRates,
+  quarantinedScenarios,
+  printFlakeRates
+} = require('./lib/flaky-tests');
+
+// Command-line options (see scripts/lib/cli.js)
+const MATRIX_COMMAND = {
+  name: 'matrix',
+  description: 'Run the device scenarios for every Jordan device × network cell and grade the weighted result',
+  options: [
+    { name: 'url', type: 'string', default: 'http://localhost:3000', description: 'Application URL' },
+    { name: 'outputDir', type: 'string', default: './mobile-test-results', description: 'Results directory' },
+    { name: 'screenshotDir', type: 'string', default: './screenshots', description: 'Screenshot directory (one folder per cell)' },
+    { name: 'baselineDir', type: 'string', description: 'Approved screenshot baselines (default: ./visual-baselines)' },
+    { name: 'concurrency', type: 'number', default: 2, description: 'Cells run in parallel' },
+    { name: 'minScore', type: 'number', default: 90, description: 'Minimum weighted score' },
+    ...retryOptions(),
+    reporterOption(['junit'])
+  ]
+};
+
+// Build the mobile-device-test configuration for a single matrix cell; quarantine is per cell
+function buildCellConfig(cell, config) {
+  const cellConfig = resolveDeviceConfig({
+    device: cell.device,
+    url: config.url,
+    network: cell.network,
+    outputDir: config.outputDir,
+    // Cells of the same device run side by side, so each needs its own screenshot and diff folder;
+    // they all compare against the one baseline per device
+    screenshotDir: path.join(config.screenshotDir, `${cell.device}-${cell.network}`),
+    diffDir: path.join(config.screenshotDir, `${cell.device}-${cell.network}`, 'diffs'),
+    baselineDir: config.baselineDir,
+    reporter: config.reporter,
+    retries: config.retries
+  });
+  return { ...cellConfig, quarantined: quarantinedScenarios(config.flakeRates || [], deviceContext(cellConfig)) };
+}
+
+// Run tasks with at most `limit` in flight, preserving result order
+async function runWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+// Weight cell success rates by how much of the Jordanian user base is on each network
+function calculateWeightedScore(cells) {
+  const { networkDistribution } = JORDAN_MARKET_CONFIG;
+  const byNetwork = {};
+  const byDevice = {};
+
+  cells.forEach(cell => {
+    byNetwork[cell.network] = byNetwork[cell.network] || { scores: [], weight: cell.weight };
+    byNetwork[cell.network].scores.push(cell.successRate);
+
+    byDevice[cell.device] = byDevice[cell.device] || { scores: [] };
+    byDevice[cell.device].scores.push(cell.successRate);
+  });
+
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const networks = Object.entries(byNetwork).map(([network, data]) => ({
+    network,
+    weight: data.weight,
+    userShare: networkDistribution[network] || 0,
+    score: average(data.scores)
+  }));
+
+  const totalWeight = networks.reduce((sum, network) => sum + network.weight, 0);
+  const weightedScore = totalWeight > 0 ?
+    networks.reduce((sum, network) => sum + network.score * network.weight, 0) / totalWeight : 0;
+
+  // Share of the user base whose network conditions this matrix actually covers
+  const coverage = networks.reduce((sum, network) => sum + network.userShare, 0);
+
+  return {
+    weightedScore: Math.round(weightedScore * 10) / 10,
+    unweightedScore: Math.round(average(cells.map(cell => cell.successRate)) * 10) / 10,
+    userBaseCoverage: Math.round(coverage * 100),
+    byNetwork: networks.map(network => ({ ...network, score: Math.round(network.score * 10) / 10 })),
+    byDevice: Object.entries(byDevice).map(([device, data]) => ({
+      device,
+      score: Math.round(average(data.scores) * 10) / 10
+    }))
+  };
+}
+
+// Main matrix function
+async function runTestMatrix(config) {
+  const matrix = getJordanTestMatrix();
+
+  console.log('🚀 Starting Jordan test matrix...');
+  console.log(`🧮 Cells: ${matrix.length} (${matrix.map(cell => `${cell.device}/${cell.network}`).join(', ')})`);
+  console.log(`⚡ Concurrency: ${config.concurrency}`);
+
+  await fs.mkdir(config.outputDir, { recursive: true });
+
+  // Every cell shares the retry policy; quarantine comes from each cell's own flake rates
+  const ledger = await readLedger(config.flakeLedger);
+  const ledgerEntries = [];
+  config.retries = resolveRetries(config);
+  config.flakeRates = computeFlakeRates(ledger, 'device');
+  const quarantinedRates = config.flakeRates.filter(rate => rate.quarantined);
+  console.log(`🔁 Retries per failed scenario: ${config.retries}`);
+  if (quarantinedRates.length > 0) {
+    console.log(`🚧 Quarantined (failures do not fail the run): ${quarantinedRates.map(rate => `${rate.scenario} [${rate.context}]`).join(', ')}`);
+  }
+
+  // Loaded here so the WebDriver runner can use runWithConcurrency without Playwright
+  const { chromium } = require('playwright');
+  const browser = await chromium.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-dev-shm-usage']
+  });
+
+  let cells;
+  try {
+    cells = await runWithConcurrency(matrix, config.concurrency, async (cell) => {
+      const cellConfig = buildCellConfig(cell, config);
+
+      try {
+        const testResults = await runDeviceScenarios(browser, cellConfig);
+        const resultFile = await saveDeviceResults(testResults, cellConfig);
+        ledgerEntries.push(...toLedgerEntries('device', deviceContext(cellConfig), testResults.tests));
+
+        return {
+          ...cell,
+          status: testResults.summary.failed === 0 ? 'passed' : 'failed',
+          successRate: testResults.summary.successRate,
+          summary: testResults.summary,
+          resultFile
+        };
+      } catch (error) {
+        console.error(`❌ Matrix cell ${cell.device}/${cell.network} failed:`, error.message);
+
+        return {
+          ...cell,
+          status: 'failed',
+          successRate: 0,
+          error: error.message
+        };
+      }
+    });
+  } finally {
+    await browser.close();
+  }
+
+  await appendLedger(ledgerEntries, config.flakeLedger);
+  const flakeRates = computeFlakeRates([...ledger, ...ledgerEntries], 'device');
+
+  const score = calculateWeightedScore(cells);
+  const report = {
+    timestamp: new Date().toISOString(),
+    url: config.url,
+    networkDistribution: JORDAN_MARKET_CONFIG.networkDistribution,
+    cells,
+    score,
+    flakeRates,
+    summary: {
+      total: cells.length,
+      passed: cells.filter(cell => cell.status === 'passed').length,
+      failed: cells.filter(cell => cell.status === 'failed').length,
+      weightedScore: score.weightedScore,
+      status: score.weightedScore >= config.minScore ? RUN_STATUS.PASS : RUN_STATUS.FAIL
+    }
+  };
+
+  console.log('\n📊 Jordan Test Matrix Results:');
+  cells.forEach(cell => {
+    const icon = cell.status === 'passed' ? '✅' : '❌';
+    console.log(`  ${icon} ${cell.device} on ${cell.network}: ${cell.successRate.toFixed(1)}% (weight ${cell.weight})`);
+  });
+  console.log(`  Weighted Score: ${score.weightedScore}% (min: ${config.minScore}%)`);
+  console.log(`  Unweighted Score: ${score.unweightedScore}%`);
+  console.log(`  User Base Covered: ${score.userBaseCoverage}%`);
+  printFlakeRates(flakeRates);
+
+  const reportFile = path.join(config.outputDir, 'matrix-report.json');
+  await fs.writeFile(reportFile, JSON.stringify(report, null, 2));
+  console.log(`💾 Matrix report saved to: ${reportFile}`);
+
+  return report;
+}
+
+// Run matrix if called directly
+if (require.main === module) {
+  runCli(MATRIX_COMMAND, 'node scripts/run-test-matrix.js', runTestMatrix);
+}
+
+module.exports = { runTestMatrix, MATRIX_COMMAND, calculateWeightedScore, runWithConcurrency };
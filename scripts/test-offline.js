@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+/**
+ * Offline PWA Test Suite
+ * Checks that the pages in PWA_REQUIREMENTS.serviceWorker are served from cache offline,
+ * that the service worker's cache strategies are among the declared ones, and that an order
+ * drafted offline on /exchange/orders/new is queued and synced once connectivity returns
+ */
+
+// Playwright only reports (and routes) requests made by service workers with this flag
+process.env.PW_EXPERIMENTAL_SERVICE_WORKER_NETWORK_EVENTS = '1';
+
+const { chromium } = require('playwright');
+const fs = require('fs').promises;
+const path = require('path');
+const { PWA_REQUIREMENTS, TEST_SCENARIOS } = require('../config/mobile-testing.config');
+const { resolveDevice, toPlaywrightContextOptions } = require('../config/device-registry');
+const { JOURNEY_ACTIONS } = require('./user-journey-test');
+const { RUN_STATUS, runCli } = require('./lib/cli');
+const { ConfigurationError } = require('./lib/errors');
+const { reporterOption, toJUnitXml, writeReports, reportBasePath } = require('./lib/reporters');
+
+// Extra latency added to the service worker's own network requests while probing strategies.
+// A response faster than this came from the cache; one slower than this waited for the network.
+const STRATEGY_PROBE_DELAY = 1500;
+
+// Command-line options (see scripts/lib/cli.js)
+const OFFLINE_COMMAND = {
+  name: 'offline',
+  description: 'Test offline page caching, cache strategies and offline order queueing/sync against PWA_REQUIREMENTS',
+  options: [
+    { name: 'url', type: 'string', default: 'http://localhost:3000', description: 'Application URL' },
+    { name: 'device', type: 'string', default: 'Galaxy_A54', description: 'Device registry key or display name' },
+    { name: 'loginJourney', type: 'string', default: 'login_flow', description: 'TEST_SCENARIOS journey run first to sign in (empty to skip)' },
+    { name: 'orderJourney', type: 'string', default: 'create_order', description: 'TEST_SCENARIOS journey replayed offline' },
+    { name: 'orderEndpoint', type: 'string', default: '/api/orders', description: 'Path prefix of the order submission request' },
+    { name: 'queuedSelector', type: 'string', default: '[data-sync-status="queued"]', description: 'Element the app shows for an order waiting to sync' },
+    { name: 'syncTimeout', type: 'number', default: 30000, description: 'How long to wait for the queued order to sync (ms)' },
+    { name: 'swTimeout', type: 'number', default: 15000, description: 'How long to wait for the service worker to activate (ms)' },
+    { name: 'screenshotDir', type: 'string', default: './offline-screenshots', description: 'Screenshots of the offline pages' },
+    { name: 'output', type: 'string', default: './offline-test-results.json', description: 'Results path' },
+    reporterOption(['junit'])
+  ]
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const findJourney = (name) => {
+  const journey = TEST_SCENARIOS.userJourneys.find(candidate => candidate.name === name);
+  if (!journey) {
+    throw new ConfigurationError(`Journey ${name} not found in TEST_SCENARIOS.userJourneys`);
+  }
+  return journey;
+};
+
+// Wait until a service worker is active and controls the page
+async function waitForServiceWorker(page, timeout) {
+  const registration = await page.evaluate(async (waitMs) => {
+    if (!('serviceWorker' in navigator)) {
+      return null;
+    }
+    const ready = await Promise.race([
+      navigator.serviceWorker.ready,
+      new Promise(resolve => setTimeout(() => resolve(null), waitMs))
+    ]);
+    return ready ? { scope: ready.scope, scriptURL: ready.active?.scriptURL || null } : null;
+  }, timeout);
+
+  if (!registration) {
+    return null;
+  }
+
+  // The first load is not controlled unless the worker calls clients.claim(); a reload is
+  if (!(await page.evaluate(() => Boolean(navigator.serviceWorker.controller)))) {
+    await page.reload({ waitUntil: 'load' });
+  }
+
+  return {
+    ...registration,
+    controlling: await page.evaluate(() => Boolean(navigator.serviceWorker.controller))
+  };
+}
+
+// The offline page an uncached navigation should fall back to
+const getOfflinePage = () => PWA_REQUIREMENTS.serviceWorker.offlinePages.find(pagePath => pagePath !== '/') || '/offline';
+
+// Final URL, title and text of the current page, to tell offline responses apart
+async function snapshotPage(page) {
+  return {
+    url: page.url(),
+    title: await page.title(),
+    text: (await page.textContent('body') || '').trim()
+  };
+}
+
+const samePath = (a, b) => new URL(a).pathname === new URL(b).pathname;
+
+// Every offline page and cache path must load offline, from the service worker, and be the page
+// itself: same final URL and title as online (`snapshots`), and not the offline fallback
+async function testCachedPages(page, paths, config, snapshots) {
+  const offlinePage = getOfflinePage();
+  const fallback = snapshots[offlinePage];
+  const pages = [];
+
+  for (const pagePath of paths) {
+    const result = { path: pagePath };
+    try {
+      const response = await page.goto(new URL(pagePath, config.url).href, { waitUntil: 'load', timeout: 10000 });
+      const offline = await snapshotPage(page);
+      const online = snapshots[pagePath];
+      result.status = response?.status() ?? null;
+      result.fromServiceWorker = response ? response.fromServiceWorker() : false;
+      result.contentLength = offline.text.length;
+      result.finalUrl = offline.url;
+      result.matchesOnline = online ? samePath(offline.url, online.url) && offline.title === online.title : null;
+      result.isOfflineFallback = pagePath !== offlinePage && Boolean(fallback) &&
+        (samePath(offline.url, fallback.url) || (offline.text === fallback.text && offline.text !== online?.text));
+      result.screenshot = path.join(config.screenshotDir, `offline${pagePath.replace(/\//g, '_') || '_root'}.png`);
+      await page.screenshot({ path: result.screenshot, fullPage: true });
+      result.passed = result.fromServiceWorker && result.status !== null && result.status < 400 && result.contentLength > 0 &&
+        !result.isOfflineFallback && result.matchesOnline !== false;
+    } catch (error) {
+      result.passed = false;
+      result.error = error.message;
+    }
+    pages.push(result);
+  }
+
+  const failed = pages.filter(item => !item.passed);
+  const describe = (item) => (item.isOfflineFallback ? `${item.path} (got ${offlinePage})` :
+    item.matchesOnline === false ? `${item.path} (differs from the online page)` : item.path);
+  return {
+    passed: failed.length === 0,
+    pages,
+    error: failed.length > 0 ? `Not served from cache offline: ${failed.map(describe).join(', ')}` : undefined
+  };
+}
+
+// An uncached route should get the offline page rather than the browser's error page
+async function testOfflineFallback(page, config) {
+  const probePath = `/__offline-probe-${Date.now()}`;
+  const offlinePage = getOfflinePage();
+
+  try {
+    const response = await page.goto(new URL(probePath, config.url).href, { waitUntil: 'load', timeout: 10000 });
+    const text = (await page.textContent('body')).trim();
+    const fromServiceWorker = response ? response.fromServiceWorker() : false;
+    const status = response?.status() ?? null;
+    const mentionsOffline = /offline|غير متصل/i.test(text);
+    let error;
+    if (!fromServiceWorker) {
+      error = `${probePath} was not answered by the service worker while offline`;
+    } else if (status === null || status >= 400) {
+      error = `${probePath} was answered with status ${status} instead of ${offlinePage}`;
+    } else if (!mentionsOffline) {
+      error = `${probePath} was answered with a page that does not say it is offline`;
+    }
+    return {
+      passed: !error,
+      probePath,
+      offlinePage,
+      fromServiceWorker,
+      status,
+      mentionsOffline,
+      error
+    };
+  } catch (error) {
+    return { passed: false, probePath, offlinePage, error: `Browser error page instead of ${offlinePage}: ${error.message}` };
+  }
+}
+
+// Infer the strategy the service worker uses for one path by slowing down its network requests:
+// fast + no network fetch = cacheFirst, fast + background fetch = staleWhileRevalidate,
+// waited for the network = networkFirst, not handled by the worker = network
+async function probeStrategy(context, page, pagePath, config) {
+  const target = new URL(pagePath, config.url);
+  const sameTarget = (requestUrl) => {
+    const url = new URL(requestUrl);
+    return url.origin === target.origin && url.pathname === target.pathname;
+  };
+
+  let workerFetched = false;
+  const handler = async (route) => {
+    if (route.request().serviceWorker() && sameTarget(route.request().url())) {
+      workerFetched = true;
+      await delay(STRATEGY_PROBE_DELAY);
+    }
+    await route.continue();
+  };
+  await context.route('**/*', handler);
+
+  try {
+    const start = Date.now();
+    const response = await page.goto(target.href, { waitUntil: 'commit' });
+    const elapsed = Date.now() - start;
+    // Give a stale-while-revalidate worker time to start its background fetch
+    await delay(STRATEGY_PROBE_DELAY / 2);
+
+    let strategy;
+    if (!response || !response.fromServiceWorker()) {
+      strategy = 'network';
+    } else if (elapsed >= STRATEGY_PROBE_DELAY) {
+      strategy = 'networkFirst';
+    } else {
+      strategy = workerFetched ? 'staleWhileRevalidate' : 'cacheFirst';
+    }
+
+    return { path: pagePath, strategy, responseTime: elapsed, workerFetched };
+  } finally {
+    await context.unroute('**/*', handler);
+    await page.waitForLoadState('load').catch(() => {});
+  }
+}
+
+async function testCacheStrategies(context, page, paths, config) {
+  const declared = PWA_REQUIREMENTS.serviceWorker.cacheStrategies;
+  const probes = [];
+  for (const pagePath of paths) {
+    probes.push(await probeStrategy(context, page, pagePath, config));
+  }
+
+  const undeclared = probes.filter(probe => !declared.includes(probe.strategy));
+  return {
+    passed: undeclared.length === 0,
+    declared,
+    probes,
+    error: undeclared.length > 0 ?
+      `Strategies not in cacheStrategies: ${undeclared.map(probe => `${probe.path} (${probe.strategy})`).join(', ')}` :
+      undefined
+  };
+}
+
+// Draft an order offline, then reconnect and wait for the queued submission to reach the server
+async function testOfflineOrderSync(context, page, config) {
+  const journey = findJourney(config.orderJourney);
+  const orderRequests = [];
+  const isOrderRequest = (request) => ['POST', 'PUT'].includes(request.method()) &&
+    new URL(request.url()).pathname.startsWith(config.orderEndpoint);
+
+  const onRequestFinished = async (request) => {
+    if (isOrderRequest(request)) {
+      const response = await request.response();
+      orderRequests.push({ url: request.url(), status: response?.status() ?? null, fromServiceWorker: Boolean(request.serviceWorker()) });
+    }
+  };
+  context.on('requestfinished', onRequestFinished);
+
+  const steps = [];
+  try {
+    await context.setOffline(true);
+
+    for (const step of journey.steps) {
+      try {
+        await JOURNEY_ACTIONS[step.action](page, step, config);
+        steps.push({ action: step.action, target: step.target, status: 'passed' });
+      } catch (error) {
+        steps.push({ action: step.action, target: step.target, status: 'failed', error: error.message });
+        return { passed: false, steps, error: `Offline ${step.action} ${step.target} failed: ${error.message}` };
+      }
+    }
+
+    const queued = await page.locator(config.queuedSelector).first()
+      .isVisible({ timeout: 5000 })
+      .catch(() => false);
+    const deliveredOffline = orderRequests.filter(request => request.status !== null && request.status < 400).length;
+
+    await context.setOffline(false);
+
+    // The app (online event) or the worker (Background Sync) replays the queue
+    const deadline = Date.now() + config.syncTimeout;
+    while (Date.now() < deadline && !orderRequests.some(request => request.status !== null && request.status < 400)) {
+      await delay(500);
+    }
+    const synced = orderRequests.find(request => request.status !== null && request.status < 400);
+
+    let error;
+    if (!queued) {
+      error = `No queued indicator (${config.queuedSelector}) after submitting offline`;
+    } else if (deliveredOffline > 0) {
+      error = 'The order request succeeded while offline';
+    } else if (!synced) {
+      error = `Queued order was not sent to ${config.orderEndpoint} within ${config.syncTimeout}ms of reconnecting`;
+    }
+
+    return {
+      passed: !error,
+      steps,
+      queued,
+      synced: Boolean(synced),
+      syncedBy: synced ? (synced.fromServiceWorker ? 'serviceWorker' : 'page') : null,
+      orderRequests,
+      error
+    };
+  } finally {
+    context.off('requestfinished', onRequestFinished);
+    await context.setOffline(false);
+  }
+}
+
+// One JUnit test case per offline check
+function toJUnitSuite(testResults) {
+  return {
+    name: `Offline (${testResults.device})`,
+    timestamp: testResults.timestamp,
+    properties: { url: testResults.url, device: testResults.device },
+    cases: Object.entries(testResults.tests).map(([name, test]) => ({
+      name,
+      classname: 'offline',
+      duration: test.duration,
+      failure: test.status === 'failed' ? { message: test.error } : null
+    }))
+  };
+}
+
+// Main offline testing function
+async function runOfflineTests(config) {
+  const device = resolveDevice(config.device);
+  const { offlinePages, cachePaths } = PWA_REQUIREMENTS.serviceWorker;
+  const paths = [...new Set([...offlinePages, ...cachePaths])];
+
+  console.log(`🚀 Starting offline tests for ${config.url} on ${device.name}`);
+  console.log(`📄 Offline paths: ${paths.join(', ')}`);
+
+  await fs.mkdir(config.screenshotDir, { recursive: true });
+
+  const browser = await chromium.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-dev-shm-usage']
+  });
+
+  const testResults = {
+    url: config.url,
+    device: device.key,
+    timestamp: new Date().toISOString(),
+    serviceWorker: null,
+    tests: {}
+  };
+
+  const runTest = async (name, description, test) => {
+    console.log(`🧪 Running test: ${name}`);
+    const start = Date.now();
+    let result;
+    try {
+      result = await test();
+    } catch (error) {
+      result = { passed: false, error: error.message };
+    }
+    const { passed, error, ...details } = result;
+    testResults.tests[name] = {
+      description,
+      duration: Date.now() - start,
+      status: passed ? 'passed' : 'failed',
+      ...(error ? { error } : {}),
+      result: details
+    };
+    console.log(passed ? `✅ ${name}` : `❌ ${name}: ${error}`);
+  };
+
+  try {
+    const context = await browser.newContext({ ...toPlaywrightContextOptions(device.key), serviceWorkers: 'allow' });
+    const page = await context.newPage();
+
+    await page.goto(config.url, { waitUntil: 'load' });
+    testResults.serviceWorker = await waitForServiceWorker(page, config.swTimeout);
+
+    if (!testResults.serviceWorker?.controlling) {
+      console.error(`❌ No service worker took control of ${config.url} within ${config.swTimeout}ms`);
+      testResults.tests.service_worker = {
+        description: 'Service worker registers and controls the page',
+        status: 'failed',
+        error: 'No controlling service worker; offline tests skipped'
+      };
+    } else {
+      console.log(`⚙️ Service worker active: ${testResults.serviceWorker.scriptURL} (scope ${testResults.serviceWorker.scope})`);
+
+      if (config.loginJourney) {
+        for (const step of findJourney(config.loginJourney).steps) {
+          await JOURNEY_ACTIONS[step.action](page, step, config);
+        }
+      }
+
+      // Visit every path online first so runtime caches are filled, keeping what each page looks
+      // like online to compare the offline responses with
+      const snapshots = {};
+      for (const pagePath of [...new Set([...paths, getOfflinePage(), findJourney(config.orderJourney).steps[0]?.target])].filter(Boolean)) {
+        try {
+          await page.goto(new URL(pagePath, config.url).href, { waitUntil: 'networkidle' });
+          snapshots[pagePath] = await snapshotPage(page);
+        } catch (error) {
+          // Reported by cached_pages when the path is also missing offline
+        }
+      }
+
+      await runTest('cache_strategies', 'Service worker strategies are among PWA_REQUIREMENTS.serviceWorker.cacheStrategies',
+        () => testCacheStrategies(context, page, paths, config));
+
+      await context.setOffline(true);
+      await runTest('cached_pages', 'offlinePages and cachePaths are served from cache offline',
+        () => testCachedPages(page, paths, config, snapshots));
+      await runTest('offline_fallback', 'Uncached routes fall back to the offline page',
+        () => testOfflineFallback(page, config));
+      await context.setOffline(false);
+
+      await runTest('offline_order_sync', `Order drafted offline (${config.orderJourney}) is queued and synced on reconnect`,
+        () => testOfflineOrderSync(context, page, config));
+    }
+
+    await context.close();
+  } finally {
+    await browser.close();
+  }
+
+  const tests = Object.values(testResults.tests);
+  const passedTests = tests.filter(test => test.status === 'passed').length;
+  testResults.summary = {
+    total: tests.length,
+    passed: passedTests,
+    failed: tests.length - passedTests,
+    status: passedTests === tests.length ? RUN_STATUS.PASS : RUN_STATUS.FAIL
+  };
+
+  console.log('\n📊 Offline Test Results:');
+  console.log(`  Status: ${testResults.summary.status}`);
+  console.log(`  Passed: ${testResults.summary.passed}/${testResults.summary.total}`);
+
+  await fs.writeFile(config.output, JSON.stringify(testResults, null, 2));
+  console.log(`💾 Results saved to: ${config.output}`);
+
+  await writeReports(config.reporter || [], reportBasePath(config.output), {
+    junit: () => toJUnitXml([toJUnitSuite(testResults)])
+  });
+
+  return testResults;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  runCli(OFFLINE_COMMAND, 'node scripts/test-offline.js', runOfflineTests);
+}
+
+module.exports = { runOfflineTests, OFFLINE_COMMAND, probeStrategy, STRATEGY_PROBE_DELAY };
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * TMS QA Command Line
+ * Single entry point for the mobile QA scripts:
+ *   node scripts/tms-qa.js <command> [options]
+ * Options, config files (--config) and TMS_QA_* environment overrides are handled by scripts/lib/cli.js
+ */
+
+const { runCli } = require('./lib/cli');
+const { EXIT_CODES } = require('./lib/errors');
+
+const USAGE = 'node scripts/tms-qa.js';
+
+// Backends are loaded on demand so `perf` does not need Playwright and `device` does not need Lighthouse
+const COMMANDS = {
+  device: {
+    summary: 'Mobile test scenarios on one registry device',
+    load: () => require('./mobile-device-test'),
+    spec: backend => backend.MOBILE_DEVICE_COMMAND,
+    run: (backend, config) => backend.runMobileDeviceTests(backend.resolveDeviceConfig(config))
+  },
+  responsive: {
+    summary: 'Breakpoint layout tests and visual diffs',
+    load: () => require('./responsive-design-test'),
+    spec: backend => backend.RESPONSIVE_COMMAND,
+    run: (backend, config) => backend.runResponsiveTests(config)
+  },
+  perf: {
+    summary: 'Lighthouse performance validation',
+    load: () => require('./validate-performance'),
+    spec: backend => backend.PERFORMANCE_COMMAND,
+    run: (backend, config) => backend.validatePerformance(config)
+  },
+  a11y: {
+    summary: 'axe-core accessibility validation',
+    load: () => require('./validate-accessibility'),
+    spec: backend => backend.ACCESSIBILITY_COMMAND,
+    run: (backend, config) => backend.validateAccessibility(config)
+  },
+  matrix: {
+    summary: 'Jordan device × network matrix',
+    load: () => require('./run-test-matrix'),
+    spec: backend => backend.MATRIX_COMMAND,
+    run: (backend, config) => backend.runTestMatrix(config)
+  },
+  journey: {
+    summary: 'Critical user journeys with budgets',
+    load: () => require('./user-journey-test'),
+    spec: backend => backend.JOURNEY_COMMAND,
+    run: (backend, config) => backend.runUserJourneyTests(config)
+  },
+  bundle: {
+    summary: 'Next.js bundle size budgets',
+    load: () => require('./validate-bundle'),
+    spec: backend => backend.BUNDLE_COMMAND,
+    run: (backend, config) => backend.validateBundle(config)
+  },
+  pwa: {
+    summary: 'Web app manifest and icon validation',
+    load: () => require('./validate-pwa-manifest'),
+    spec: backend => backend.PWA_COMMAND,
+    run: (backend, config) => backend.validatePwaManifest(config)
+  },
+  sw: {
+    summary: 'Service worker and Cache Storage audit',
+    load: () => require('./inspect-service-worker'),
+    spec: backend => backend.SERVICE_WORKER_COMMAND,
+    run: (backend, config) => backend.inspectServiceWorker(config)
+  },
+  offline: {
+    summary: 'PWA offline caching, cache strategies and order sync',
+    load: () => require('./test-offline'),
+    spec: backend => backend.OFFLINE_COMMAND,
+    run: (backend, config) => backend.runOfflineTests(config)
+  },
+  remote: {
+    summary: 'BrowserStack (or local WebDriver) sessions for a TEST_CONFIGURATIONS entry',
+    load: () => require('./browserstack-mobile-test'),
+    spec: backend => backend.BROWSERSTACK_COMMAND,
+    run: (backend, config) => backend.runBrowserStackTests(config)
+  }
+};
+
+function formatCommandList() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length)) + 4;
+  return [
+    `Usage: ${USAGE} <command> [options]`,
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}${command.summary}`),
+    '',
+    `Run "${USAGE} <command> --help" for the options of a command.`,
+    ''
+  ].join('\n');
+}
+
+function main(argv) {
+  const [commandName, ...commandArgs] = argv;
+
+  if (!commandName || commandName === '--help' || commandName === 'help') {
+    console.log(formatCommandList());
+    process.exit(commandName ? EXIT_CODES.PASS : EXIT_CODES.USAGE);
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`❌ Unknown command "${commandName}"`);
+    console.error(formatCommandList());
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  const backend = command.load();
+  return runCli(command.spec(backend), `${USAGE} ${commandName}`, config => command.run(backend, config), commandArgs);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { COMMANDS };
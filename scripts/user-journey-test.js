@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+/**
+ * User Journey Testing Script
+ * Runs the critical TMS user journeys from TEST_SCENARIOS as real Playwright flows
+ * Times every step and checks each journey against its performance budget
+ */
+
+const { chromium } = require('playwright');
+const fs = require('fs').promises;
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { TEST_SCENARIOS } = require('../config/mobile-testing.config');
+const { resolveDevice, toPlaywrightContextOptions } = require('../config/device-registry');
+const { RUN_STATUS, runCli } = require('./lib/cli');
+const { ConfigurationError } = require('./lib/errors');
+
+// Command-line options (see scripts/lib/cli.js)
+const JOURNEY_COMMAND = {
+  name: 'journey',
+  description: 'Run the TEST_SCENARIOS user journeys on one device and check their duration and LCP budgets',
+  options: [
+    { name: 'device', type: 'string', default: 'Galaxy_A54', description: 'Device registry key or display name' },
+    { name: 'url', type: 'string', default: 'http://localhost:3000', description: 'Application URL' },
+    {
+      name: 'journeys',
+      type: 'string',
+      default: TEST_SCENARIOS.userJourneys.map(journey => journey.name).join(','),
+      description: 'Comma-separated journey names'
+    },
+    { name: 'fixturesDir', type: 'string', default: './test-fixtures', description: 'Files used by upload steps' },
+    { name: 'outputDir', type: 'string', default: './mobile-test-results', description: 'Results directory' },
+    { name: 'stepTimeout', type: 'number', default: 10000, description: 'Per-step timeout in ms' }
+  ]
+};
+
+// Playwright implementation of every step action used by TEST_SCENARIOS.userJourneys
+const JOURNEY_ACTIONS = {
+  navigate: (page, step, config) => page.goto(new URL(step.target, config.url).href, { waitUntil: 'load' }),
+  fill: (page, step) => page.fill(step.target, step.value),
+  select: (page, step) => page.selectOption(step.target, step.value),
+  click: (page, step) => page.click(step.target),
+  upload: (page, step, config) => page.setInputFiles(step.target, path.resolve(config.fixturesDir, step.file)),
+  waitFor: (page, step) => page.waitForSelector(step.target, { state: 'visible' }),
+  waitForNavigation: (page, step) => page.waitForURL(url => url.pathname.startsWith(step.target))
+};
+
+// Records the largest LCP candidate of every document loaded during a journey
+function observeLargestContentfulPaint() {
+  window.__tmsLargestContentfulPaint = 0;
+
+  try {
+    new PerformanceObserver(list => {
+      list.getEntries().forEach(entry => {
+        window.__tmsLargestContentfulPaint = Math.max(window.__tmsLargestContentfulPaint, entry.startTime);
+      });
+    }).observe({ type: 'largest-contentful-paint', buffered: true });
+  } catch (error) {
+    // LCP is not supported by this browser; the journey reports 0
+  }
+}
+
+async function readLargestContentfulPaint(page) {
+  try {
+    return await page.evaluate(() => window.__tmsLargestContentfulPaint || 0);
+  } catch (error) {
+    // The page was navigating while we read; the next step will pick it up
+    return 0;
+  }
+}
+
+// Run a single journey step by step and check it against its performance budget
+async function runJourney(page, journey, config) {
+  const steps = [];
+  let largestContentfulPaint = 0;
+  let aborted = false;
+  const startTime = performance.now();
+
+  for (const [index, step] of journey.steps.entries()) {
+    const stepResult = {
+      index,
+      action: step.action,
+      target: step.target
+    };
+
+    if (aborted) {
+      steps.push({ ...stepResult, status: 'skipped' });
+      continue;
+    }
+
+    const action = JOURNEY_ACTIONS[step.action];
+    const stepStart = performance.now();
+
+    try {
+      if (!action) {
+        throw new Error(`Unknown journey action: ${step.action}`);
+      }
+
+      await action(page, step, config);
+
+      steps.push({
+        ...stepResult,
+        duration: performance.now() - stepStart,
+        status: 'passed'
+      });
+    } catch (error) {
+      // Later steps depend on this one, so skip them instead of cascading failures
+      aborted = true;
+      steps.push({
+        ...stepResult,
+        duration: performance.now() - stepStart,
+        status: 'failed',
+        error: error.message
+      });
+    }
+
+    largestContentfulPaint = Math.max(largestContentfulPaint, await readLargestContentfulPaint(page));
+  }
+
+  const duration = performance.now() - startTime;
+  const { maxDuration, maxLCP } = journey.performance || {};
+
+  const budget = {
+    maxDuration,
+    duration: Math.round(duration),
+    durationPassed: maxDuration === undefined || duration <= maxDuration,
+    maxLCP,
+    largestContentfulPaint: Math.round(largestContentfulPaint),
+    lcpPassed: maxLCP === undefined || largestContentfulPaint <= maxLCP
+  };
+
+  const stepsPassed = steps.every(step => step.status === 'passed');
+
+  return {
+    duration,
+    passed: stepsPassed && budget.durationPassed && budget.lcpPassed,
+    result: { steps, budget }
+  };
+}
+
+// Main journey testing function
+async function runUserJourneyTests(config) {
+  const deviceConfig = resolveDevice(config.device);
+
+  const journeyNames = config.journeys.split(',').map(name => name.trim());
+  const journeys = journeyNames.map(name => {
+    const journey = TEST_SCENARIOS.userJourneys.find(candidate => candidate.name === name);
+    if (!journey) {
+      throw new ConfigurationError(`Journey ${name} not found in TEST_SCENARIOS.userJourneys`);
+    }
+    return journey;
+  });
+
+  console.log(`🚀 Starting user journey tests for ${deviceConfig.name}`);
+  console.log(`📱 Device config: ${deviceConfig.width}x${deviceConfig.height} @ ${deviceConfig.pixelRatio}x`);
+  console.log(`🧭 Journeys: ${journeyNames.join(', ')}`);
+
+  await fs.mkdir(config.outputDir, { recursive: true });
+
+  const browser = await chromium.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-dev-shm-usage']
+  });
+
+  // Journeys share one context so the session from login_flow carries into later journeys
+  const context = await browser.newContext(toPlaywrightContextOptions(deviceConfig.key));
+  await context.addInitScript(observeLargestContentfulPaint);
+
+  const testResults = {
+    device: deviceConfig.key,
+    configuration: {
+      width: deviceConfig.width,
+      height: deviceConfig.height,
+      pixelRatio: deviceConfig.pixelRatio,
+      userAgent: deviceConfig.userAgent
+    },
+    timestamp: new Date().toISOString(),
+    tests: {}
+  };
+
+  try {
+    for (const journey of journeys) {
+      console.log(`🧪 Running journey: ${journey.name}`);
+
+      const page = await context.newPage();
+      page.setDefaultTimeout(config.stepTimeout);
+
+      try {
+        const { duration, passed, result } = await runJourney(page, journey, config);
+
+        testResults.tests[journey.name] = {
+          description: journey.description,
+          duration,
+          result,
+          status: passed ? 'passed' : 'failed',
+          timestamp: new Date().toISOString()
+        };
+
+        if (passed) {
+          console.log(`✅ Journey ${journey.name} completed in ${Math.round(duration)}ms`);
+        } else {
+          const failedStep = result.steps.find(step => step.status === 'failed');
+          const reason = failedStep ?
+            `step ${failedStep.index} (${failedStep.action} ${failedStep.target}): ${failedStep.error}` :
+            `budget exceeded (duration ${result.budget.duration}ms/${result.budget.maxDuration}ms, LCP ${result.budget.largestContentfulPaint}ms/${result.budget.maxLCP}ms)`;
+          console.error(`❌ Journey ${journey.name} failed: ${reason}`);
+        }
+      } catch (error) {
+        testResults.tests[journey.name] = {
+          description: journey.description,
+          status: 'failed',
+          error: error.message,
+          stack: error.stack,
+          timestamp: new Date().toISOString()
+        };
+
+        console.error(`❌ Journey ${journey.name} failed:`, error.message);
+      } finally {
+        await page.close();
+      }
+    }
+
+    // Calculate overall results
+    const totalTests = Object.keys(testResults.tests).length;
+    const passedTests = Object.values(testResults.tests).filter(test => test.status === 'passed').length;
+    const failedTests = totalTests - passedTests;
+
+    testResults.summary = {
+      total: totalTests,
+      passed: passedTests,
+      failed: failedTests,
+      successRate: (passedTests / totalTests) * 100,
+      status: failedTests === 0 ? RUN_STATUS.PASS : RUN_STATUS.FAIL
+    };
+
+    console.log(`\n📊 Journey Summary for ${deviceConfig.name}:`);
+    console.log(`  Total Journeys: ${totalTests}`);
+    console.log(`  Passed: ${passedTests}`);
+    console.log(`  Failed: ${failedTests}`);
+    console.log(`  Success Rate: ${testResults.summary.successRate.toFixed(1)}%`);
+
+  } finally {
+    await browser.close();
+  }
+
+  // Save results
+  const resultFile = path.join(config.outputDir, `journey-test-${deviceConfig.key}.json`);
+  await fs.writeFile(resultFile, JSON.stringify(testResults, null, 2));
+
+  console.log(`💾 Results saved to: ${resultFile}`);
+
+  return testResults;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  runCli(JOURNEY_COMMAND, 'node scripts/user-journey-test.js', runUserJourneyTests);
+}
+
+module.exports = { runUserJourneyTests, JOURNEY_COMMAND, JOURNEY_ACTIONS };
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/**
+ * Bundle Size Validation Script
+ * Reads the Next.js build manifests and checks per-route and per-chunk
+ * compressed sizes against BUNDLE_THRESHOLDS and PERFORMANCE_BASELINES.bundleSize
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { BUNDLE_THRESHOLDS } = require('./validate-performance');
+const { PERFORMANCE_BASELINES } = require('../config/mobile-testing.config');
+const { RUN_STATUS, runCli } = require('./lib/cli');
+const { ReportFormatError } = require('./lib/errors');
+
+// Per-chunk limit comes from the mobile baselines (KB)
+const CHUNK_THRESHOLD = PERFORMANCE_BASELINES.bundleSize.chunk * 1024;
+
+// Largest chunks listed under a route's firstLoadJS or totalSize violation
+const OFFENDING_CHUNKS = 5;
+
+// Budgets a build manifest cannot check: unused bytes need coverage from a page load
+const NOT_CHECKED = {
+  unusedCSS: 'needs runtime coverage; validate-performance.js reports Lighthouse unused-css-rules against it',
+  unusedJS: 'needs runtime coverage; validate-performance.js reports Lighthouse unused-javascript against it'
+};
+
+// Pages-router entries that are not routes of their own
+const PAGES_INTERNAL_ENTRIES = ['/_app', '/_document', '/_error'];
+
+// Command-line options (see scripts/lib/cli.js)
+const BUNDLE_COMMAND = {
+  name: 'bundle',
+  description: 'Check per-route and per-chunk compressed sizes of a Next.js build against the bundle budgets',
+  options: [
+    { name: 'buildDir', type: 'string', default: './.next', description: 'Next.js build output directory' },
+    { name: 'compression', type: 'string', default: 'gzip', choices: ['gzip', 'brotli'], description: 'Compression the budgets apply to' },
+    { name: 'output', type: 'string', default: './bundle-report.json', description: 'Bundle report path' }
+  ]
+};
+
+// Read a manifest from the build directory (app-build-manifest.json is absent without the app router)
+async function readManifest(buildDir, fileName, required) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(buildDir, fileName), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) {
+      return null;
+    }
+    throw new ReportFormatError(path.join(buildDir, fileName), error.message, error);
+  }
+}
+
+// "/(auth)/login/page" -> "/login"; route groups and parallel-route slots are not part of the URL
+function toRoutePath(entry) {
+  const segments = entry
+    .replace(/\/page$/, '')
+    .split('/')
+    .filter(segment => segment && !/^\(.*\)$/.test(segment) && !segment.startsWith('@'));
+  return `/${segments.join('/')}`;
+}
+
+// Files a route loads on first visit, grouped by router
+function collectRouteFiles(buildManifest, appBuildManifest) {
+  const routes = {};
+  const rootMainFiles = buildManifest.rootMainFiles || [];
+
+  // Pages router: _app files plus the page's own files
+  const pages = buildManifest.pages || {};
+  const appFiles = pages['/_app'] || [];
+  Object.entries(pages)
+    .filter(([page]) => !PAGES_INTERNAL_ENTRIES.includes(page))
+    .forEach(([page, files]) => {
+      routes[page] = { router: 'pages', files: [...new Set([...appFiles, ...files])] };
+    });
+
+  // App router: root main files plus every layout above the page and the page itself
+  const appPages = appBuildManifest?.pages || {};
+  Object.keys(appPages)
+    .filter(entry => entry.endsWith('/page'))
+    .forEach(entry => {
+      const segments = entry.split('/').filter(Boolean).slice(0, -1);
+      const layouts = segments
+        .map((segment, index) => `/${segments.slice(0, index + 1).join('/')}/layout`)
+        .concat('/layout');
+
+      const files = [
+        ...rootMainFiles,
+        ...layouts.flatMap(layout => appPages[layout] || []),
+        ...appPages[entry]
+      ];
+
+      routes[toRoutePath(entry)] = { router: 'app', files: [...new Set(files)] };
+    });
+
+  return routes;
+}
+
+// Raw, gzip and brotli sizes for one chunk, cached because most chunks are shared
+async function measureChunk(buildDir, file, cache) {
+  if (!cache.has(file)) {
+    cache.set(file, fs.readFile(path.join(buildDir, file)).then(content => ({
+      raw: content.length,
+      gzip: zlib.gzipSync(content, { level: 9 }).length,
+      brotli: zlib.brotliCompressSync(content, {
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY }
+      }).length
+    })));
+  }
+  return cache.get(file);
+}
+
+const sumSizes = (chunks) => chunks.reduce((total, chunk) => ({
+  raw: total.raw + chunk.raw,
+  gzip: total.gzip + chunk.gzip,
+  brotli: total.brotli + chunk.brotli
+}), { raw: 0, gzip: 0, brotli: 0 });
+
+const formatKB = (bytes) => `${(bytes / 1024).toFixed(1)}KB`;
+
+// Measure every route's chunks and check them against the thresholds
+async function analyzeRoutes(routes, config) {
+  const cache = new Map();
+  const compression = config.compression;
+
+  // How many routes load each chunk, to tell shared chunks from route-specific ones
+  const usage = {};
+  Object.values(routes).forEach(route => route.files.forEach(file => {
+    usage[file] = (usage[file] || 0) + 1;
+  }));
+
+  const results = {};
+
+  for (const [route, { router, files }] of Object.entries(routes)) {
+    const chunks = [];
+    for (const file of files.filter(name => /\.(js|css)$/.test(name))) {
+      chunks.push({
+        file,
+        type: file.endsWith('.css') ? 'css' : 'js',
+        shared: usage[file] > 1,
+        ...await measureChunk(config.buildDir, file, cache)
+      });
+    }
+
+    const jsChunks = chunks.filter(chunk => chunk.type === 'js');
+    const firstLoadJS = sumSizes(jsChunks);
+    const total = sumSizes(chunks);
+    const violations = [];
+
+    // The chunks that make up most of an aggregate that is over budget
+    const largest = (list) => [...list]
+      .sort((a, b) => b[compression] - a[compression])
+      .slice(0, OFFENDING_CHUNKS)
+      .map(chunk => ({ file: chunk.file, size: chunk[compression], shared: chunk.shared }));
+
+    if (firstLoadJS[compression] > BUNDLE_THRESHOLDS.firstLoadJS) {
+      violations.push({ type: 'firstLoadJS', size: firstLoadJS[compression], limit: BUNDLE_THRESHOLDS.firstLoadJS, chunks: largest(jsChunks) });
+    }
+    if (total[compression] > BUNDLE_THRESHOLDS.totalSize) {
+      violations.push({ type: 'totalSize', size: total[compression], limit: BUNDLE_THRESHOLDS.totalSize, chunks: largest(chunks) });
+    }
+    chunks
+      .filter(chunk => chunk[compression] > CHUNK_THRESHOLD)
+      .forEach(chunk => violations.push({ type: 'chunk', file: chunk.file, size: chunk[compression], limit: CHUNK_THRESHOLD }));
+
+    results[route] = {
+      router,
+      firstLoadJS,
+      total,
+      chunks: chunks.sort((a, b) => b[compression] - a[compression]),
+      violations,
+      status: violations.length === 0 ? RUN_STATUS.PASS : RUN_STATUS.FAIL
+    };
+  }
+
+  return results;
+}
+
+// Main validation function
+async function validateBundle(config) {
+  console.log('📦 Starting bundle size validation...');
+  console.log(`📁 Build directory: ${config.buildDir}`);
+  console.log(`🗜️ Compression: ${config.compression}`);
+  console.log(`🎯 First Load JS: ${formatKB(BUNDLE_THRESHOLDS.firstLoadJS)} | Total: ${formatKB(BUNDLE_THRESHOLDS.totalSize)} | Chunk: ${formatKB(CHUNK_THRESHOLD)}`);
+
+  const buildManifest = await readManifest(config.buildDir, 'build-manifest.json', true);
+  const appBuildManifest = await readManifest(config.buildDir, 'app-build-manifest.json', false);
+
+  const routes = await analyzeRoutes(collectRouteFiles(buildManifest, appBuildManifest), config);
+  const failedRoutes = Object.entries(routes).filter(([, route]) => route.status === 'FAIL');
+
+  const results = {
+    timestamp: new Date().toISOString(),
+    buildDir: config.buildDir,
+    compression: config.compression,
+    thresholds: {
+      firstLoadJS: BUNDLE_THRESHOLDS.firstLoadJS,
+      totalSize: BUNDLE_THRESHOLDS.totalSize,
+      chunk: CHUNK_THRESHOLD
+    },
+    notChecked: NOT_CHECKED,
+    routes,
+    summary: {
+      status: failedRoutes.length === 0 ? RUN_STATUS.PASS : RUN_STATUS.FAIL,
+      routes: Object.keys(routes).length,
+      failedRoutes: failedRoutes.length,
+      violations: failedRoutes.reduce((count, [, route]) => count + route.violations.length, 0),
+      largestFirstLoadJS: Math.max(0, ...Object.values(routes).map(route => route.firstLoadJS[config.compression]))
+    }
+  };
+
+  console.log('\n📋 Bundle Validation Results:');
+  console.log(`   Status: ${results.summary.status}`);
+  console.log(`   Routes: ${results.summary.routes - results.summary.failedRoutes}/${results.summary.routes} within budget`);
+
+  console.log('\n📊 Routes:');
+  Object.entries(routes).forEach(([route, data]) => {
+    const status = data.status === 'PASS' ? '✅' : '❌';
+    console.log(`   ${status} ${route} (${data.router}): First Load JS ${formatKB(data.firstLoadJS[config.compression])}, total ${formatKB(data.total[config.compression])}`);
+  });
+
+  // Per-route breakdown of what is over budget
+  if (failedRoutes.length > 0) {
+    console.log('\n🚨 Over budget:');
+    failedRoutes.forEach(([route, data]) => {
+      console.log(`   ${route}`);
+      data.violations.forEach(violation => {
+        const label = violation.type === 'chunk' ?
+          `chunk ${violation.file}` :
+          violation.type;
+        console.log(`     ❌ ${label}: ${formatKB(violation.size)} (limit: ${formatKB(violation.limit)})`);
+        (violation.chunks || []).forEach(chunk => {
+          console.log(`        ${formatKB(chunk.size)} ${chunk.file} (${chunk.shared ? 'shared' : 'route-specific'})`);
+        });
+      });
+    });
+  }
+
+  console.log('\nℹ️ Not checked here:');
+  Object.entries(NOT_CHECKED).forEach(([budget, reason]) => console.log(`   ${budget}: ${reason}`));
+
+  await fs.writeFile(config.output, JSON.stringify(results, null, 2));
+  console.log(`\n💾 Bundle report saved to: ${config.output}`);
+
+  return results;
+}
+
+// Run validation if called directly
+if (require.main === module) {
+  runCli(BUNDLE_COMMAND, 'node scripts/validate-bundle.js', validateBundle);
+}
+
+module.exports = { validateBundle, BUNDLE_COMMAND, collectRouteFiles, CHUNK_THRESHOLD };
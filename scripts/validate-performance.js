@@ -7,6 +7,24 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const {
+  PROFILE_NETWORKS,
+  loadLighthouseProfile,
+  runLighthouse,
+  buildMedianReport
+} = require('./lib/lighthouse-runner');
+const {
+  DEFAULT_HISTORY_PATH,
+  resolveBuildId,
+  readHistory,
+  appendHistory,
+  detectRegressions,
+  getMetricTrend,
+  buildSparkline
+} = require('./lib/performance-history');
+const { RUN_STATUS, runCli } = require('./lib/cli');
+const { ReportFormatError } = require('./lib/errors');
+const { reporterOption, toJUnitXml, writeReports, reportBasePath } = require('./lib/reporters');
 
 // Performance thresholds for different network conditions
 const PERFORMANCE_THRESHOLDS = {
@@ -17,7 +35,7 @@ const PERFORMANCE_THRESHOLDS = {
     CLS: 0.1,       // Cumulative Layout Shift
     TBT: 200,       // Total Blocking Time (ms)
     SI: 2500,       // Speed Index (ms)
-    FMP: 2000       // First Meaningful Paint (ms)
+    INP: 200        // Interaction to Next Paint (ms)
   },
   '3G Fast': {
     LCP: 2500,
@@ -26,7 +44,7 @@ const PERFORMANCE_THRESHOLDS = {
     CLS: 0.1,
     TBT: 300,
     SI: 3000,
-    FMP: 2500
+    INP: 250
   },
   '3G Slow': {
     LCP: 4000,
@@ -35,7 +53,7 @@ const PERFORMANCE_THRESHOLDS = {
     CLS: 0.15,
     TBT: 600,
     SI: 4500,
-    FMP: 3500
+    INP: 350
   },
   'Edge': {
     LCP: 6000,
@@ -44,7 +62,7 @@ const PERFORMANCE_THRESHOLDS = {
     CLS: 0.2,
     TBT: 1000,
     SI: 6000,
-    FMP: 5000
+    INP: 500
   }
 };
 
@@ -57,36 +75,65 @@ const BUNDLE_THRESHOLDS = {
   imageOptimization: 0.8        // 80% image optimization score
 };
 
-// Parse command line arguments
-function parseArguments() {
-  const args = process.argv.slice(2);
-  const config = {
-    report: null,
-    network: '3G Fast',
-    maxLCP: 2500,
-    maxTTI: 3000,
-    output: './performance-validation-report.json'
-  };
-
-  for (let i = 0; i < args.length; i += 2) {
-    const key = args[i].replace('--', '');
-    const value = args[i + 1];
-    
-    if (key === 'maxLCP' || key === 'maxTTI') {
-      config[key] = parseInt(value);
-    } else {
-      config[key] = value;
-    }
-  }
+// Lighthouse audits checked against PERFORMANCE_THRESHOLDS (override = custom threshold key,
+// aliases = names the audit had in older Lighthouse versions, timespan = only measured in timespan runs)
+const METRIC_AUDITS = [
+  { key: 'largest-contentful-paint', name: 'LCP', unit: 'ms', override: 'maxLCP' },
+  { key: 'first-contentful-paint', name: 'FCP', unit: 'ms' },
+  { key: 'interactive', name: 'TTI', unit: 'ms', override: 'maxTTI' },
+  { key: 'cumulative-layout-shift', name: 'CLS', unit: '' },
+  { key: 'total-blocking-time', name: 'TBT', unit: 'ms' },
+  { key: 'speed-index', name: 'SI', unit: 'ms' },
+  { key: 'interaction-to-next-paint', name: 'INP', unit: 'ms', aliases: ['experimental-interaction-to-next-paint'], timespan: true }
+];
+
+// The metric's audit under its current or a former key
+const findMetricAudit = (audits, metric) => [metric.key, ...(metric.aliases || [])]
+  .map(key => audits[key])
+  .find(audit => audit !== undefined);
+
+// CLS keeps three decimals; time metrics are whole milliseconds
+const roundMetric = (metric, value) => (metric.unit === 'ms' ? Math.round(value) : Number(value.toFixed(3)));
+
+const formatMetric = (data) => (data.value === null ? 'not measured' : `${data.value}${data.unit}`);
+
+// Lighthouse audits whose wasted bytes are capped by BUNDLE_THRESHOLDS
+const UNUSED_BYTES_LIMITS = {
+  'unused-css-rules': BUNDLE_THRESHOLDS.unusedCSS,
+  'unused-javascript': BUNDLE_THRESHOLDS.unusedJS
+};
 
-  return config;
-}
+// Command-line options (see scripts/lib/cli.js)
+const PERFORMANCE_COMMAND = {
+  name: 'perf',
+  description: 'Validate a Lighthouse report, or run Lighthouse against --url, against the network performance thresholds',
+  options: [
+    { name: 'report', type: 'string', description: 'Lighthouse JSON report to validate' },
+    { name: 'url', type: 'string', description: 'Run Lighthouse against this URL instead of reading --report' },
+    { name: 'profile', type: 'string', default: '3g-fast', choices: Object.keys(PROFILE_NETWORKS), description: 'Network profile from .lighthouserc.json' },
+    { name: 'device', type: 'string', default: 'iPhone_8', description: 'Device registry key for screen emulation' },
+    { name: 'runs', type: 'number', description: 'Lighthouse runs (default: ci.collect.numberOfRuns)' },
+    { name: 'saveReport', type: 'string', description: 'Write the median Lighthouse report here' },
+    { name: 'timespan', type: 'boolean', default: false, description: 'Add a Lighthouse timespan over scripted interactions to each --url run to measure INP (needs puppeteer-core)' },
+    { name: 'network', type: 'string', choices: Object.keys(PERFORMANCE_THRESHOLDS), description: 'Threshold network (default: from --profile, else "3G Fast")' },
+    { name: 'maxLCP', type: 'number', default: 2500, description: 'LCP limit in ms' },
+    { name: 'maxTTI', type: 'number', default: 3000, description: 'TTI limit in ms' },
+    { name: 'output', type: 'string', default: './performance-validation-report.json', description: 'Validation report path (an .html report is written next to it)' },
+    { name: 'history', type: 'string', default: DEFAULT_HISTORY_PATH, description: 'JSONL history file for trends and regressions' },
+    { name: 'build', type: 'string', description: 'Build id for the history (default: GITHUB_SHA)' },
+    { name: 'failOnRegression', type: 'boolean', default: false, description: 'Fail when a metric regresses against the rolling baseline' },
+    reporterOption(['junit'])
+  ],
+  validate: (config) => (!config.report && !config.url ? 'Either --report or --url is required' : null)
+};
 
-// Validate performance metrics
-function validatePerformanceMetrics(metrics, thresholds, customThresholds = {}) {
+// Validate performance metrics. A metric with a threshold that is missing from the report fails,
+// except a timespan-only metric when no timespan ran (`timespanRun`), which is only a warning.
+function validatePerformanceMetrics(metrics, thresholds, customThresholds = {}, { timespanRun = false } = {}) {
   const results = {
     passed: 0,
     failed: 0,
+    missing: 0,
     warnings: 0,
     details: {}
   };
@@ -94,44 +141,60 @@ function validatePerformanceMetrics(metrics, thresholds, customThresholds = {})
   // Override thresholds with custom values if provided
   const finalThresholds = { ...thresholds, ...customThresholds };
 
-  const metricsToCheck = [
-    { key: 'largest-contentful-paint', name: 'LCP', threshold: finalThresholds.maxLCP || finalThresholds.LCP },
-    { key: 'first-contentful-paint', name: 'FCP', threshold: finalThresholds.FCP },
-    { key: 'interactive', name: 'TTI', threshold: finalThresholds.maxTTI || finalThresholds.TTI },
-    { key: 'cumulative-layout-shift', name: 'CLS', threshold: finalThresholds.CLS },
-    { key: 'total-blocking-time', name: 'TBT', threshold: finalThresholds.TBT },
-    { key: 'speed-index', name: 'SI', threshold: finalThresholds.SI },
-    { key: 'first-meaningful-paint', name: 'FMP', threshold: finalThresholds.FMP }
-  ];
-
-  metricsToCheck.forEach(metric => {
-    const audit = metrics.audits[metric.key];
-    if (audit && audit.numericValue !== undefined) {
-      const value = audit.numericValue;
-      const threshold = metric.threshold;
-      
-      if (threshold !== undefined) {
-        const passed = value <= threshold;
-        const status = passed ? 'PASS' : 'FAIL';
-        const deviation = value - threshold;
-        
+  const metricsToCheck = METRIC_AUDITS.map(metric => ({
+    ...metric,
+    threshold: (metric.override && finalThresholds[metric.override]) || finalThresholds[metric.name]
+  }));
+
+  metricsToCheck
+    .filter(metric => metric.threshold !== undefined)
+    .forEach(metric => {
+      const audit = findMetricAudit(metrics.audits, metric);
+
+      // A metric whose audit was removed, renamed or not run is reported, never dropped
+      if (!audit || typeof audit.numericValue !== 'number') {
+        let reason = `audit "${metric.key}" is not in the report`;
+        if (audit) {
+          reason = `audit "${metric.key}" has no value (${audit.scoreDisplayMode || 'no numericValue'})`;
+        } else if (metric.timespan && !timespanRun) {
+          reason = `audit "${metric.key}" is only produced by Lighthouse timespan runs (--timespan)`;
+        }
+        const blocking = !(metric.timespan && !timespanRun);
         results.details[metric.name] = {
-          value: Math.round(value),
-          threshold,
-          status,
-          deviation: Math.round(deviation),
-          score: audit.score,
-          displayValue: audit.displayValue
+          value: null,
+          unit: metric.unit,
+          threshold: metric.threshold,
+          status: 'MISSING',
+          blocking,
+          deviation: 0,
+          reason
         };
-        
-        if (passed) {
-          results.passed++;
-        } else {
+        results.missing++;
+        if (blocking) {
           results.failed++;
         }
+        return;
       }
-    }
-  });
+
+      const value = audit.numericValue;
+      const passed = value <= metric.threshold;
+
+      results.details[metric.name] = {
+        value: roundMetric(metric, value),
+        unit: metric.unit,
+        threshold: metric.threshold,
+        status: passed ? 'PASS' : 'FAIL',
+        deviation: roundMetric(metric, value - metric.threshold),
+        score: audit.score,
+        displayValue: audit.displayValue
+      };
+
+      if (passed) {
+        results.passed++;
+      } else {
+        results.failed++;
+      }
+    });
 
   return results;
 }
@@ -158,14 +221,19 @@ function validateResourceOptimization(audits) {
   bundleAudits.forEach(auditKey => {
     const audit = audits[auditKey];
     if (audit) {
+      const wastedBytes = audit.details?.overallSavingsBytes;
+      const wastedBytesLimit = UNUSED_BYTES_LIMITS[auditKey];
+      const withinLimit = wastedBytesLimit === undefined || !(wastedBytes > wastedBytesLimit);
+
       results.bundleSize[auditKey] = {
         score: audit.score,
         displayValue: audit.displayValue,
         numericValue: audit.numericValue,
-        passed: audit.score >= 0.8
+        ...(wastedBytesLimit !== undefined && { wastedBytes, wastedBytesLimit }),
+        passed: audit.score >= 0.8 && withinLimit
       };
 
-      if (audit.score < 0.8) {
+      if (!results.bundleSize[auditKey].passed) {
         results.recommendations.push({
           type: 'bundle-optimization',
           audit: auditKey,
@@ -273,115 +341,224 @@ function generatePerformanceGrade(results) {
   };
 }
 
+// Run Lighthouse numberOfRuns times and reduce the runs to a median report
+async function collectLighthouseReport(config) {
+  const profile = await loadLighthouseProfile(config.profile);
+  const runs = config.runs || profile.numberOfRuns;
+
+  const lhrs = await runLighthouse(config.url, { profile, device: config.device, runs, timespan: config.timespan });
+  const report = buildMedianReport(lhrs, METRIC_AUDITS.map(metric => metric.key));
+
+  if (config.saveReport) {
+    await fs.writeFile(config.saveReport, JSON.stringify(report, null, 2));
+    console.log(`💾 Median Lighthouse report saved to: ${config.saveReport}`);
+  }
+
+  return report;
+}
+
+// Read a report saved by Lighthouse CI or --save-report
+async function readLighthouseReport(reportPath) {
+  let report;
+  try {
+    report = JSON.parse(await fs.readFile(reportPath, 'utf8'));
+  } catch (error) {
+    throw new ReportFormatError(reportPath, error.message, error);
+  }
+
+  if (!report.lhr) {
+    throw new ReportFormatError(reportPath, 'no "lhr" Lighthouse result');
+  }
+
+  return report;
+}
+
+// Record this run in the history file and compare it with the rolling baseline
+async function trackPerformanceHistory(config, lhr) {
+  const entry = {
+    buildId: resolveBuildId(config.build),
+    timestamp: new Date().toISOString(),
+    url: lhr.finalUrl,
+    network: config.network,
+    profile: config.url ? config.profile : null,
+    metrics: {}
+  };
+
+  // Raw numeric values; the report details are rounded for display
+  METRIC_AUDITS.forEach(metric => {
+    const value = findMetricAudit(lhr.audits, metric)?.numericValue;
+    if (typeof value === 'number') {
+      entry.metrics[metric.name] = value;
+    }
+  });
+
+  const history = await readHistory(config.history);
+  const regressions = detectRegressions(history, entry);
+  const trends = Object.fromEntries(Object.keys(entry.metrics)
+    .map(metric => [metric, getMetricTrend(history, entry, metric)]));
+
+  await appendHistory(entry, config.history);
+  console.log(`🗂️ Run recorded in ${config.history} (build: ${entry.buildId})`);
+
+  return { buildId: entry.buildId, regressions, trends };
+}
+
 // Main validation function
 async function validatePerformance(config) {
+  // A Lighthouse profile implies its network unless --network says otherwise
+  config.network = config.network || (config.url && PROFILE_NETWORKS[config.profile]) || '3G Fast';
+
   console.log('🚀 Starting performance validation...');
-  console.log(`📊 Report: ${config.report}`);
+  if (config.url) {
+    console.log(`🔦 Lighthouse: ${config.url} (profile: ${config.profile}, device: ${config.device})`);
+  } else {
+    console.log(`📊 Report: ${config.report}`);
+  }
   console.log(`🌐 Network: ${config.network}`);
   console.log(`🎯 LCP Target: ${config.maxLCP}ms`);
   console.log(`🎯 TTI Target: ${config.maxTTI}ms`);
 
-  try {
-    // Read Lighthouse report
-    const reportData = await fs.readFile(config.report, 'utf8');
-    const report = JSON.parse(reportData);
+  // Run Lighthouse ourselves or read a pre-made report
+  const report = config.url ?
+    await collectLighthouseReport(config) :
+    await readLighthouseReport(config.report);
+
+  const { audits, categories } = report.lhr;
+  
+  // Get performance thresholds for network
+  const networkThresholds = PERFORMANCE_THRESHOLDS[config.network] || PERFORMANCE_THRESHOLDS['3G Fast'];
+  const customThresholds = {
+    maxLCP: config.maxLCP,
+    maxTTI: config.maxTTI
+  };
 
-    if (!report.lhr) {
-      throw new Error('Invalid Lighthouse report format');
+  // Validate different aspects of performance
+  const results = {
+    timestamp: new Date().toISOString(),
+    network: config.network,
+    url: report.lhr.finalUrl,
+    lighthouseRuns: report.runs,
+    performance: validatePerformanceMetrics(report.lhr, networkThresholds, customThresholds, {
+      timespanRun: Boolean(config.url && config.timespan)
+    }),
+    bundleOptimization: validateResourceOptimization(audits),
+    mobileOptimization: validateMobilePerformance(audits),
+    categories: {
+      performance: categories.performance?.score || 0,
+      accessibility: categories.accessibility?.score || 0,
+      'best-practices': categories['best-practices']?.score || 0,
+      seo: categories.seo?.score || 0,
+      pwa: categories.pwa?.score || 0
     }
+  };
 
-    const { audits, categories } = report.lhr;
-    
-    // Get performance thresholds for network
-    const networkThresholds = PERFORMANCE_THRESHOLDS[config.network] || PERFORMANCE_THRESHOLDS['3G Fast'];
-    const customThresholds = {
-      maxLCP: config.maxLCP,
-      maxTTI: config.maxTTI
-    };
-
-    // Validate different aspects of performance
-    const results = {
-      timestamp: new Date().toISOString(),
-      network: config.network,
-      url: report.lhr.finalUrl,
-      performance: validatePerformanceMetrics(report.lhr, networkThresholds, customThresholds),
-      bundleOptimization: validateResourceOptimization(audits),
-      mobileOptimization: validateMobilePerformance(audits),
-      categories: {
-        performance: categories.performance?.score || 0,
-        accessibility: categories.accessibility?.score || 0,
-        'best-practices': categories['best-practices']?.score || 0,
-        seo: categories.seo?.score || 0,
-        pwa: categories.pwa?.score || 0
-      }
-    };
-
-    // Generate overall grade
-    results.grade = generatePerformanceGrade(results);
-
-    // Collect all recommendations
-    results.recommendations = [
-      ...results.bundleOptimization.recommendations,
-      ...results.mobileOptimization.recommendations
-    ];
-
-    // Generate summary
-    const summary = {
-      status: results.performance.failed === 0 ? 'PASS' : 'FAIL',
-      grade: results.grade.grade,
-      overallScore: results.grade.overall,
-      metricsCount: {
-        passed: results.performance.passed,
-        failed: results.performance.failed,
-        total: results.performance.passed + results.performance.failed
-      },
-      recommendations: results.recommendations.length
-    };
-
-    console.log('\n📋 Performance Validation Results:');
-    console.log(`   Status: ${summary.status}`);
-    console.log(`   Grade: ${summary.grade} (${summary.overallScore}%)`);
-    console.log(`   Metrics: ${summary.metricsCount.passed}/${summary.metricsCount.total} passed`);
-    console.log(`   Recommendations: ${summary.recommendations}`);
-
-    // Log detailed metric results
-    console.log('\n📊 Detailed Metrics:');
-    Object.entries(results.performance.details).forEach(([metric, data]) => {
-      const status = data.status === 'PASS' ? '✅' : '❌';
-      const deviation = data.deviation > 0 ? `(+${data.deviation}ms over threshold)` : '';
-      console.log(`   ${status} ${metric}: ${data.value}ms (threshold: ${data.threshold}ms) ${deviation}`);
-    });
+  // Generate overall grade
+  results.grade = generatePerformanceGrade(results);
 
-    // Log recommendations
-    if (results.recommendations.length > 0) {
-      console.log('\n💡 Recommendations:');
-      results.recommendations.forEach((rec, index) => {
-        console.log(`   ${index + 1}. ${rec.title} (Score: ${rec.score})`);
-      });
-    }
+  // Build-over-build trend and regression check
+  results.history = await trackPerformanceHistory(config, report.lhr);
+  const regressedMetrics = Object.entries(results.history.regressions)
+    .filter(([, regression]) => regression.status === 'REGRESSION')
+    .map(([metric]) => metric);
+  results.performance.warnings = regressedMetrics.length;
 
-    // Save results
-    await fs.writeFile(config.output, JSON.stringify(results, null, 2));
-    console.log(`\n💾 Validation results saved to: ${config.output}`);
+  // Collect all recommendations
+  results.recommendations = [
+    ...results.bundleOptimization.recommendations,
+    ...results.mobileOptimization.recommendations
+  ];
 
-    // Generate HTML report
-    const htmlReport = generateHTMLReport(results);
-    const htmlPath = config.output.replace('.json', '.html');
-    await fs.writeFile(htmlPath, htmlReport);
-    console.log(`📄 HTML report saved to: ${htmlPath}`);
+  // Generate summary
+  const regressionFailure = config.failOnRegression && regressedMetrics.length > 0;
+  const summary = {
+    status: results.performance.failed === 0 && !regressionFailure ? RUN_STATUS.PASS : RUN_STATUS.FAIL,
+    grade: results.grade.grade,
+    overallScore: results.grade.overall,
+    metricsCount: {
+      passed: results.performance.passed,
+      failed: results.performance.failed,
+      missing: results.performance.missing,
+      total: results.performance.passed + results.performance.failed
+    },
+    recommendations: results.recommendations.length,
+    regressions: regressedMetrics
+  };
+  results.summary = summary;
+
+  console.log('\n📋 Performance Validation Results:');
+  console.log(`   Status: ${summary.status}`);
+  console.log(`   Grade: ${summary.grade} (${summary.overallScore}%)`);
+  console.log(`   Metrics: ${summary.metricsCount.passed}/${summary.metricsCount.total} passed${summary.metricsCount.missing > 0 ? `, ${summary.metricsCount.missing} not measured` : ''}`);
+  console.log(`   Recommendations: ${summary.recommendations}`);
+  console.log(`   Regressions: ${regressedMetrics.length > 0 ? regressedMetrics.join(', ') : 'none'}`);
+
+  // Log detailed metric results
+  console.log('\n📊 Detailed Metrics:');
+  Object.entries(results.performance.details).forEach(([metric, data]) => {
+    if (data.status === 'MISSING') {
+      console.log(`   ${data.blocking ? '❌' : '⚠️'} ${metric}: not measured (${data.reason})${data.blocking ? '' : ' - not gated'}`);
+      return;
+    }
+    const status = data.status === 'PASS' ? '✅' : '❌';
+    const deviation = data.deviation > 0 ? `(+${data.deviation}${data.unit} over threshold)` : '';
+    console.log(`   ${status} ${metric}: ${data.value}${data.unit} (threshold: ${data.threshold}${data.unit}) ${deviation}`);
+  });
 
-    // Exit with appropriate code
-    process.exit(summary.status === 'PASS' ? 0 : 1);
+  // Log regressions against the rolling baseline
+  if (regressedMetrics.length > 0) {
+    console.log('\n📈 Regressions vs. rolling baseline:');
+    regressedMetrics.forEach(metric => {
+      const regression = results.history.regressions[metric];
+      const change = Math.round(regression.relativeChange * 100);
+      console.log(`   ⚠️ ${metric}: +${change}% vs. mean of last ${regression.samples} builds (z = ${regression.zScore ?? '∞'})`);
+    });
+  }
 
-  } catch (error) {
-    console.error('❌ Performance validation failed:', error.message);
-    process.exit(1);
+  // Log recommendations
+  if (results.recommendations.length > 0) {
+    console.log('\n💡 Recommendations:');
+    results.recommendations.forEach((rec, index) => {
+      console.log(`   ${index + 1}. ${rec.title} (Score: ${rec.score})`);
+    });
   }
+
+  // Save results
+  await fs.writeFile(config.output, JSON.stringify(results, null, 2));
+  console.log(`\n💾 Validation results saved to: ${config.output}`);
+
+  // Generate HTML report
+  const htmlReport = generateHTMLReport(results);
+  const htmlPath = config.output.replace('.json', '.html');
+  await fs.writeFile(htmlPath, htmlReport);
+  console.log(`📄 HTML report saved to: ${htmlPath}`);
+
+  await writeReports(config.reporter || [], reportBasePath(config.output), {
+    junit: () => toJUnitXml([toJUnitSuite(results)])
+  });
+
+  return results;
+}
+
+// One JUnit test case per metric checked by validatePerformanceMetrics
+function toJUnitSuite(results) {
+  return {
+    name: `Performance (${results.network})`,
+    timestamp: results.timestamp,
+    properties: { url: results.url, network: results.network, grade: results.grade.grade },
+    cases: Object.entries(results.performance.details).map(([metric, data]) => ({
+      name: metric,
+      classname: 'performance.metrics',
+      failure: data.status === 'FAIL' ? {
+        message: `${metric} ${data.value}${data.unit} exceeds threshold ${data.threshold}${data.unit} (+${data.deviation}${data.unit})`
+      } : (data.status === 'MISSING' && data.blocking ? { message: `${metric} not measured: ${data.reason}` } : null),
+      skipped: data.status === 'MISSING' && !data.blocking ? data.reason : null
+    }))
+  };
 }
 
 // Generate HTML report
 function generateHTMLReport(results) {
-  const { grade, performance, bundleOptimization, mobileOptimization } = results;
+  const { grade, performance, bundleOptimization, mobileOptimization, history } = results;
   
   return `<!DOCTYPE html>
 <html lang="en">
@@ -403,8 +580,11 @@ function generateHTMLReport(results) {
         .metric-value { font-size: 24px; font-weight: bold; }
         .pass { color: #22c55e; }
         .fail { color: #ef4444; }
+        .missing { color: #9ca3af; }
         .recommendations { margin-top: 30px; }
         .recommendation { background: #f3f4f6; padding: 15px; margin: 10px 0; border-radius: 8px; }
+        .trend { margin-top: 10px; font-size: 12px; color: #6b7280; }
+        .regression { color: #f97316; font-weight: bold; }
     </style>
 </head>
 <body>
@@ -412,19 +592,29 @@ function generateHTMLReport(results) {
         <h1>Performance Validation Report</h1>
         <div class="grade ${grade.grade}">${grade.grade}</div>
         <p>Overall Score: ${grade.overall}%</p>
-        <p>Network: ${results.network} | Timestamp: ${results.timestamp}</p>
+        <p>Network: ${results.network} | Build: ${history.buildId} | Timestamp: ${results.timestamp}</p>
     </div>
     
     <div class="metrics">
         ${Object.entries(performance.details).map(([metric, data]) => `
             <div class="metric-card">
                 <h3>${metric}</h3>
-                <div class="metric-value ${data.status === 'PASS' ? 'pass' : 'fail'}">
-                    ${data.value}ms
+                <div class="metric-value ${{ PASS: 'pass', FAIL: 'fail' }[data.status] || 'missing'}">
+                    ${formatMetric(data)}
                 </div>
-                <p>Threshold: ${data.threshold}ms</p>
+                <p>Threshold: ${data.threshold}${data.unit}</p>
                 <p>Status: ${data.status}</p>
-                ${data.deviation > 0 ? `<p>Over by: ${data.deviation}ms</p>` : ''}
+                ${data.reason ? `<p>${data.reason}</p>` : ''}
+                ${data.deviation > 0 ? `<p>Over by: ${data.deviation}${data.unit}</p>` : ''}
+                ${history.regressions[metric]?.status === 'REGRESSION' ? `
+                    <p class="regression">Regression: +${Math.round(history.regressions[metric].relativeChange * 100)}% vs. last ${history.regressions[metric].samples} builds</p>
+                ` : ''}
+                ${history.trends[metric]?.length > 1 ? `
+                    <div class="trend">
+                        ${buildSparkline(history.trends[metric])}
+                        <div>Last ${history.trends[metric].length} builds</div>
+                    </div>
+                ` : ''}
             </div>
         `).join('')}
     </div>
@@ -447,15 +637,13 @@ function generateHTMLReport(results) {
 
 // Run validation if called directly
 if (require.main === module) {
-  const config = parseArguments();
-  
-  if (!config.report) {
-    console.error('❌ Error: --report parameter is required');
-    console.log('Usage: node validate-performance.js --report=lighthouse-report.json [--network="3G Fast"] [--maxLCP=2500] [--maxTTI=3000]');
-    process.exit(1);
-  }
-  
-  validatePerformance(config);
+  runCli(PERFORMANCE_COMMAND, 'node scripts/validate-performance.js', validatePerformance);
 }
 
-module.exports = { validatePerformance, PERFORMANCE_THRESHOLDS }; 
\ No newline at end of file
+module.exports = {
+  validatePerformance,
+  PERFORMANCE_COMMAND,
+  PERFORMANCE_THRESHOLDS,
+  BUNDLE_THRESHOLDS,
+  METRIC_AUDITS
+}; 
\ No newline at end of file
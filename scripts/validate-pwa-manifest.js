@@ -0,0 +1,485 @@
+#!/usr/bin/env node
+/**
+ * PWA Manifest Validation Script
+ * Fetches the web app manifest and checks it against PWA_REQUIREMENTS: required and recommended
+ * fields, installability, and every icon's real dimensions, format and maskable safe zone
+ */
+
+const fs = require('fs').promises;
+const { PNG } = require('pngjs');
+const { PWA_REQUIREMENTS } = require('../config/mobile-testing.config');
+const { RUN_STATUS, runCli } = require('./lib/cli');
+const { QaError, ReportFormatError } = require('./lib/errors');
+const { escapeXml, reporterOption, toJUnitXml, writeReports, reportBasePath } = require('./lib/reporters');
+
+// How much each failed check costs in the score
+const CHECK_WEIGHTS = {
+  required: 3,
+  installability: 3,
+  icons: 2,
+  recommended: 1
+};
+
+const DISPLAY_MODES = ['fullscreen', 'standalone', 'minimal-ui', 'browser'];
+
+// Maskable icons keep their important content inside a centred circle of 40% of the icon size
+const MASKABLE_SAFE_ZONE_RADIUS = 0.4;
+const MASKABLE_LIMITS = {
+  colorDistance: 48,        // RGB distance from the background that counts as content
+  outsideContentRatio: 0.01, // Share of the area outside the safe zone allowed to hold content
+  transparentRatio: 0.01     // Share of transparent pixels allowed (maskable icons are full-bleed)
+};
+
+// Command-line options (see scripts/lib/cli.js)
+const PWA_COMMAND = {
+  name: 'pwa',
+  description: 'Validate the web app manifest and its icons against PWA_REQUIREMENTS',
+  options: [
+    { name: 'url', type: 'string', default: 'http://localhost:3000/manifest.json', description: 'Manifest URL, or a page URL with <link rel="manifest">' },
+    { name: 'minScore', type: 'number', default: 90, description: 'Minimum manifest score' },
+    { name: 'output', type: 'string', default: './manifest-validation.json', description: 'Validation report path (an .html report is written next to it)' },
+    reporterOption(['junit'])
+  ]
+};
+
+// Fetch the manifest, following <link rel="manifest"> when given a page
+async function fetchManifest(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new QaError(`Could not fetch ${url}: ${error.message}`, { cause: error });
+  }
+  if (!response.ok) {
+    throw new QaError(`Could not fetch ${url}: HTTP ${response.status}`);
+  }
+
+  const body = await response.text();
+  if ((response.headers.get('content-type') || '').includes('text/html')) {
+    const link = body.match(/<link[^>]+rel=["']?manifest["']?[^>]*>/i);
+    const href = link && link[0].match(/href=["']?([^"'\s>]+)/i);
+    if (!href) {
+      throw new ReportFormatError(url, 'page has no <link rel="manifest">');
+    }
+    return fetchManifest(new URL(href[1], response.url).href);
+  }
+
+  try {
+    return { manifestUrl: response.url, manifest: JSON.parse(body) };
+  } catch (error) {
+    throw new ReportFormatError(response.url, `manifest is not valid JSON (${error.message})`, error);
+  }
+}
+
+// Format and pixel size from the file header; SVG is scalable and has no fixed size
+function readImageInfo(buffer) {
+  const ascii = buffer.toString('latin1', 0, 16);
+
+  if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the JPEG segments to the first start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { format: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return { format: 'jpeg', width: null, height: null };
+  }
+  if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') {
+    const chunk = ascii.slice(12, 16);
+    if (chunk === 'VP8X') {
+      return { format: 'webp', width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (ascii.startsWith('GIF8')) {
+    return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length > 4 && buffer.readUInt32BE(0) === 0x00000100) {
+    return { format: 'ico', width: buffer[6] || 256, height: buffer[7] || 256 };
+  }
+  if (/<svg[\s>]/i.test(buffer.toString('utf8', 0, Math.min(buffer.length, 1024)))) {
+    return { format: 'svg', width: null, height: null };
+  }
+  return { format: 'unknown', width: null, height: null };
+}
+
+// "image/png" -> "png"
+const formatFromType = (type) => (type || '').replace(/^image\//, '').replace('svg+xml', 'svg').replace('x-icon', 'ico').replace('vnd.microsoft.icon', 'ico');
+
+// "192x192 512x512" -> [{ width: 192, height: 192 }, ...]; "any" -> []
+const parseSizes = (sizes) => (sizes || '')
+  .split(/\s+/)
+  .map(size => size.match(/^(\d+)x(\d+)$/i))
+  .filter(Boolean)
+  .map(([, width, height]) => ({ width: Number(width), height: Number(height) }));
+
+const iconPurposes = (icon) => (icon.purpose || 'any').split(/\s+/).filter(Boolean);
+
+// Content outside the safe-zone circle and transparent pixels of a maskable PNG
+function checkMaskableSafeZone(buffer) {
+  const image = PNG.sync.read(buffer);
+  const { width, height, data } = image;
+  const pixel = (x, y) => data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4);
+
+  // The background is whatever the corners are filled with
+  const corners = [pixel(0, 0), pixel(width - 1, 0), pixel(0, height - 1), pixel(width - 1, height - 1)];
+  const background = [0, 1, 2].map(channel => corners.reduce((sum, corner) => sum + corner[channel], 0) / corners.length);
+
+  const radius = Math.min(width, height) * MASKABLE_SAFE_ZONE_RADIUS;
+  const centerX = width / 2;
+  const centerY = height / 2;
+  let outside = 0;
+  let outsideContent = 0;
+  let transparent = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [red, green, blue, alpha] = pixel(x, y);
+      if (alpha < 250) {
+        transparent++;
+      }
+      if (Math.hypot(x + 0.5 - centerX, y + 0.5 - centerY) > radius) {
+        outside++;
+        const distance = Math.hypot(red - background[0], green - background[1], blue - background[2]);
+        if (alpha >= 250 && distance > MASKABLE_LIMITS.colorDistance) {
+          outsideContent++;
+        }
+      }
+    }
+  }
+
+  const outsideContentRatio = outside > 0 ? outsideContent / outside : 0;
+  const transparentRatio = transparent / (width * height);
+  return {
+    outsideContentRatio: Number(outsideContentRatio.toFixed(4)),
+    transparentRatio: Number(transparentRatio.toFixed(4)),
+    passed: outsideContentRatio <= MASKABLE_LIMITS.outsideContentRatio && transparentRatio <= MASKABLE_LIMITS.transparentRatio
+  };
+}
+
+// Download one icon and compare what it is with what the manifest says it is.
+// A failed safe zone stays out of `issues`: the icon file is fine and icons:maskable-safe-zone reports it.
+async function inspectIcon(icon, manifestUrl) {
+  const result = {
+    src: icon.src,
+    url: icon.src ? new URL(icon.src, manifestUrl).href : null,
+    declaredSizes: icon.sizes || null,
+    declaredType: icon.type || null,
+    purposes: iconPurposes(icon),
+    issues: []
+  };
+
+  if (!result.url) {
+    result.issues.push('icon has no src');
+    return result;
+  }
+
+  let buffer;
+  try {
+    const response = await fetch(result.url);
+    if (!response.ok) {
+      result.issues.push(`HTTP ${response.status}`);
+      return result;
+    }
+    buffer = Buffer.from(await response.arrayBuffer());
+  } catch (error) {
+    result.issues.push(`download failed: ${error.message}`);
+    return result;
+  }
+
+  Object.assign(result, readImageInfo(buffer), { bytes: buffer.length });
+
+  if (result.format === 'unknown') {
+    result.issues.push('not a recognised image format');
+  } else if (icon.type && formatFromType(icon.type) !== result.format) {
+    result.issues.push(`declared ${icon.type} but the file is ${result.format}`);
+  }
+
+  const declared = parseSizes(icon.sizes);
+  if (!icon.sizes) {
+    result.issues.push('no sizes declared');
+  } else if (result.width !== null && declared.length > 0 && result.format !== 'ico' &&
+    !declared.some(size => size.width === result.width && size.height === result.height)) {
+    result.issues.push(`declared ${icon.sizes} but the image is ${result.width}x${result.height}`);
+  }
+  if (result.width !== null && result.width !== result.height) {
+    result.issues.push(`not square (${result.width}x${result.height})`);
+  }
+
+  if (result.purposes.includes('maskable')) {
+    if (result.format === 'png') {
+      try {
+        result.maskable = checkMaskableSafeZone(buffer);
+      } catch (error) {
+        result.issues.push(`could not decode PNG: ${error.message}`);
+      }
+    } else {
+      result.maskable = { passed: null, reason: `safe zone is only checked for PNG icons (${result.format})` };
+    }
+  }
+
+  return result;
+}
+
+const isFilled = (value) => value !== undefined && value !== null && value !== '' &&
+  !(Array.isArray(value) && value.length === 0);
+
+// One check per manifest requirement
+function buildChecks(manifest, manifestUrl, icons) {
+  const checks = [];
+  const add = (id, category, passed, message, severity = category === 'recommended' ? 'warning' : 'error') => {
+    checks.push({ id, category, severity, passed, message });
+  };
+
+  PWA_REQUIREMENTS.manifest.required.forEach(field => {
+    add(`required:${field}`, 'required', isFilled(manifest[field]), `"${field}" is ${isFilled(manifest[field]) ? 'present' : 'missing'}`);
+  });
+  PWA_REQUIREMENTS.manifest.recommended.forEach(field => {
+    add(`recommended:${field}`, 'recommended', isFilled(manifest[field]), `"${field}" is ${isFilled(manifest[field]) ? 'present' : 'missing'}`);
+  });
+
+  if (manifest.display !== undefined) {
+    add('required:display-value', 'required', DISPLAY_MODES.includes(manifest.display),
+      `display "${manifest.display}" ${DISPLAY_MODES.includes(manifest.display) ? 'is' : 'is not'} a valid display mode`);
+  }
+  if (manifest.start_url !== undefined) {
+    const startUrl = new URL(manifest.start_url, manifestUrl);
+    const sameOrigin = startUrl.origin === new URL(manifestUrl).origin;
+    add('required:start_url-origin', 'required', sameOrigin, `start_url ${startUrl.href} ${sameOrigin ? 'is' : 'is not'} on the manifest's origin`);
+  }
+
+  // Installability: the app has to open as a standalone window, not fullscreen
+  const displayModes = [...(manifest.display_override || []), manifest.display].filter(Boolean);
+  if (PWA_REQUIREMENTS.installability.standalone) {
+    const standalone = displayModes.includes('standalone');
+    add('installability:standalone', 'installability', standalone,
+      standalone ? 'opens in a standalone window' : `display modes (${displayModes.join(', ') || 'none'}) do not include standalone`);
+  }
+  if (!PWA_REQUIREMENTS.installability.fullscreen) {
+    add('installability:no-fullscreen', 'installability', manifest.display !== 'fullscreen', `display is ${manifest.display || 'unset'}`);
+  }
+
+  // Icons: every required size, every purpose, and every downloaded file as declared
+  const usable = icons.filter(icon => icon.issues.length === 0);
+  PWA_REQUIREMENTS.icons.sizes.forEach(size => {
+    const found = usable.some(icon => icon.purposes.includes('any') && icon.width === size && icon.height === size) ||
+      usable.some(icon => icon.purposes.includes('any') && icon.format === 'svg');
+    add(`icons:${size}x${size}`, 'icons', found, `${found ? 'has' : 'no'} valid ${size}x${size} icon with purpose "any"`);
+  });
+  PWA_REQUIREMENTS.icons.purposes.forEach(purpose => {
+    const found = usable.some(icon => icon.purposes.includes(purpose));
+    add(`icons:purpose-${purpose}`, 'icons', found, `${found ? 'has' : 'no'} valid icon with purpose "${purpose}"`);
+  });
+  if (PWA_REQUIREMENTS.icons.maskable) {
+    const safe = usable.some(icon => icon.maskable?.passed);
+    const outside = usable
+      .filter(icon => icon.maskable?.passed === false)
+      .map(icon => `${icon.src}: ${(icon.maskable.outsideContentRatio * 100).toFixed(1)}% content outside, ` +
+        `${(icon.maskable.transparentRatio * 100).toFixed(1)}% transparent`);
+    add('icons:maskable-safe-zone', 'icons', safe, safe ? 'a maskable icon keeps its content in the safe zone' :
+      `no maskable PNG icon passes the safe-zone check${outside.length > 0 ? ` (${outside.join('; ')})` : ''}`);
+  }
+  icons.forEach(icon => {
+    add(`icons:file:${icon.src}`, 'icons', icon.issues.length === 0, icon.issues.length === 0 ?
+      `${icon.src} is a ${icon.width ?? 'scalable'}${icon.width ? `x${icon.height}` : ''} ${icon.format}` :
+      `${icon.src}: ${icon.issues.join('; ')}`);
+  });
+
+  return checks;
+}
+
+// Weighted share of passed checks, graded like the performance report
+function generateManifestGrade(checks) {
+  const weight = (check) => CHECK_WEIGHTS[check.category];
+  const total = checks.reduce((sum, check) => sum + weight(check), 0);
+  const earned = checks.filter(check => check.passed).reduce((sum, check) => sum + weight(check), 0);
+  const score = total > 0 ? (earned / total) * 100 : 0;
+
+  const byCategory = Object.fromEntries(Object.keys(CHECK_WEIGHTS).map(category => {
+    const inCategory = checks.filter(check => check.category === category);
+    return [category, { passed: inCategory.filter(check => check.passed).length, total: inCategory.length }];
+  }));
+
+  let grade;
+  if (score >= 90) grade = 'A';
+  else if (score >= 80) grade = 'B';
+  else if (score >= 70) grade = 'C';
+  else if (score >= 60) grade = 'D';
+  else grade = 'F';
+
+  return { score: Math.round(score), grade, byCategory };
+}
+
+// HTML report: grade, checks grouped by category and the downloaded icons
+function generateHTMLReport(results) {
+  const { grade, summary } = results;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>PWA Manifest Validation Report</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .header { text-align: center; margin-bottom: 30px; }
+        .grade { font-size: 48px; margin: 20px 0; }
+        .grade.A { color: #22c55e; }
+        .grade.B { color: #84cc16; }
+        .grade.C { color: #eab308; }
+        .grade.D { color: #f97316; }
+        .grade.F { color: #ef4444; }
+        .category { border: 1px solid #ddd; padding: 20px; margin: 20px 0; border-radius: 8px; }
+        .check { padding: 6px 0; }
+        .pass { color: #22c55e; }
+        .fail { color: #ef4444; }
+        .warning { color: #f97316; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+        img { width: 48px; height: 48px; object-fit: contain; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>PWA Manifest Validation Report</h1>
+        <div class="grade ${grade.grade}">${grade.grade}</div>
+        <p>Score: ${grade.score}% (min: ${summary.minScore}%) | Status: ${summary.status}</p>
+        <p>Manifest: ${escapeXml(results.manifestUrl)} | Timestamp: ${results.timestamp}</p>
+    </div>
+
+    ${Object.entries(grade.byCategory).filter(([, counts]) => counts.total > 0).map(([category, counts]) => `
+        <div class="category">
+            <h2>${category} (${counts.passed}/${counts.total})</h2>
+            ${results.checks.filter(check => check.category === category).map(check => `
+                <div class="check ${check.passed ? 'pass' : check.severity === 'error' ? 'fail' : 'warning'}">
+                    ${check.passed ? '✅' : check.severity === 'error' ? '❌' : '⚠️'} ${escapeXml(check.message)}
+                </div>
+            `).join('')}
+        </div>
+    `).join('')}
+
+    ${results.icons.length > 0 ? `
+        <h2>Icons</h2>
+        <table>
+            <tr><th>Icon</th><th>Source</th><th>Declared</th><th>Actual</th><th>Purpose</th><th>Safe zone</th><th>Issues</th></tr>
+            ${results.icons.map(icon => `
+                <tr>
+                    <td>${icon.url ? `<img src="${escapeXml(icon.url)}" alt="">` : ''}</td>
+                    <td>${escapeXml(icon.src || 'none')}</td>
+                    <td>${escapeXml([icon.declaredSizes, icon.declaredType].filter(Boolean).join(' ') || 'none')}</td>
+                    <td>${icon.format ? `${icon.width ? `${icon.width}x${icon.height} ` : ''}${icon.format}` : 'n/a'}</td>
+                    <td>${escapeXml(icon.purposes.join(' '))}</td>
+                    <td>${icon.maskable ? { true: '✅', false: '❌' }[icon.maskable.passed] || escapeXml(icon.maskable.reason) : ''}</td>
+                    <td>${escapeXml(icon.issues.join('; '))}</td>
+                </tr>
+            `).join('')}
+        </table>
+    ` : ''}
+</body>
+</html>`;
+}
+
+// One JUnit test case per check; missing recommended fields are reported as skipped
+function toJUnitSuite(results) {
+  return {
+    name: 'PWA manifest',
+    timestamp: results.timestamp,
+    properties: { manifest: results.manifestUrl, grade: results.grade.grade },
+    cases: results.checks.map(check => ({
+      name: check.id,
+      classname: `pwa.${check.category}`,
+      failure: !check.passed && check.severity === 'error' ? { message: check.message } : null,
+      skipped: !check.passed && check.severity === 'warning' ? check.message : null
+    }))
+  };
+}
+
+// Main validation function
+async function validatePwaManifest(config) {
+  console.log('📋 Starting PWA manifest validation...');
+  console.log(`🔗 URL: ${config.url}`);
+
+  const { manifestUrl, manifest } = await fetchManifest(config.url);
+  console.log(`📄 Manifest: ${manifestUrl}`);
+
+  const declaredIcons = Array.isArray(manifest.icons) ? manifest.icons : [];
+  console.log(`🖼️ Downloading ${declaredIcons.length} icons...`);
+  const icons = [];
+  for (const icon of declaredIcons) {
+    icons.push(await inspectIcon(icon, manifestUrl));
+  }
+
+  const checks = buildChecks(manifest, manifestUrl, icons);
+  const grade = generateManifestGrade(checks);
+  const errors = checks.filter(check => !check.passed && check.severity === 'error');
+  const warnings = checks.filter(check => !check.passed && check.severity === 'warning');
+
+  const results = {
+    timestamp: new Date().toISOString(),
+    url: config.url,
+    manifestUrl,
+    manifest,
+    icons,
+    checks,
+    grade,
+    summary: {
+      status: errors.length === 0 && grade.score >= config.minScore ? RUN_STATUS.PASS : RUN_STATUS.FAIL,
+      grade: grade.grade,
+      score: grade.score,
+      minScore: config.minScore,
+      checks: checks.length,
+      passed: checks.filter(check => check.passed).length,
+      errors: errors.length,
+      warnings: warnings.length
+    }
+  };
+
+  console.log('\n📋 Manifest Validation Results:');
+  console.log(`   Status: ${results.summary.status}`);
+  console.log(`   Grade: ${grade.grade} (${grade.score}%, min: ${config.minScore}%)`);
+  console.log(`   Checks: ${results.summary.passed}/${results.summary.checks} passed`);
+
+  Object.entries(grade.byCategory).forEach(([category, counts]) => {
+    const status = counts.passed === counts.total ? '✅' : '❌';
+    console.log(`   ${status} ${category}: ${counts.passed}/${counts.total}`);
+  });
+
+  if (errors.length > 0) {
+    console.log('\n🚨 Errors:');
+    errors.forEach(check => console.log(`   ❌ ${check.message}`));
+  }
+  if (warnings.length > 0) {
+    console.log('\n⚠️ Warnings:');
+    warnings.forEach(check => console.log(`   ⚠️ ${check.message}`));
+  }
+
+  await fs.writeFile(config.output, JSON.stringify(results, null, 2));
+  console.log(`\n💾 Validation report saved to: ${config.output}`);
+
+  const htmlPath = config.output.replace('.json', '.html');
+  await fs.writeFile(htmlPath, generateHTMLReport(results));
+  console.log(`📄 HTML report saved to: ${htmlPath}`);
+
+  await writeReports(config.reporter || [], reportBasePath(config.output), {
+    junit: () => toJUnitXml([toJUnitSuite(results)])
+  });
+
+  return results;
+}
+
+// Run validation if called directly
+if (require.main === module) {
+  runCli(PWA_COMMAND, 'node scripts/validate-pwa-manifest.js', validatePwaManifest);
+}
+
+module.exports = { validatePwaManifest, PWA_COMMAND, readImageInfo, checkMaskableSafeZone };